@@ -1,61 +1,126 @@
 /**
  * ai.js — AI Cars with FSM + Rubber-Band
- * States: CRUISE | DODGE | ACCELERATE | OVERTAKE | BLOCK
+ * States: CRUISE | DODGE | ACCELERATE | OVERTAKE | BLOCK | SPIN
+ * Each car is a named rival; its archetype (rivals.js) sets the thresholds.
  */
 
-const AI_COLORS = ['#ff2266', '#ff8800', '#aa00ff', '#00ff88', '#ff44ff'];
+import { ARCHETYPES, RIVALS } from './rivals.js';
+import { difficultyById }     from './difficulty.js';
+import { AI_SPIN_TIME }       from './constants.js';
 
-const STATES = {
+const RESPAWN_BEHIND = 200;   // px below the player — off screen — before respawning ahead
+
+export const STATES = {
   CRUISE:     'CRUISE',
   DODGE:      'DODGE',
   ACCELERATE: 'ACCELERATE',
   OVERTAKE:   'OVERTAKE',
   BLOCK:      'BLOCK',
+  SPIN:       'SPIN',     // knocked out of control; no thinking until it recovers
 };
 
+const SLIDE_DAMP = 4;     // 1/s decay of shove velocity
+const BRAKE_PACE = 0.5;   // × pace while boxed in behind something it can't dodge
+
 export class AICar {
-  constructor(lane, y, laneCenters) {
-    this.laneCenters = laneCenters;
+  // road: the Road it drives on; lane indices are left to right at its own y.
+  // rival: an entry from rivals.js; tier: the run's difficulty.js entry
+  constructor(lane, y, road, rng, rival = RIVALS[0], tier = difficultyById()) {
+    this.road       = road;
+    this.rng        = rng;
     this.lane       = lane;
-    this.x          = laneCenters[lane];
     this.y          = y;
+    this.x          = this.laneCenters[lane];
 
-    this.color  = AI_COLORS[Math.floor(Math.random() * AI_COLORS.length)];
+    this.rival  = rival;
+    this.name   = rival.name;
+    this.color  = rival.color;
     this.width  = 36;
     this.height = 62;
 
     this.state       = STATES.CRUISE;
     this._stateTimer = 0;
 
-    // Personality
-    this.aggression   = 0.4 + Math.random() * 0.55;  // 0.4–0.95
-    this.reactionTime = Math.random() * 0.12;         // 0–0.12s
+    // Personality — rolled inside the archetype's ranges, then shifted by tier
+    const arch = ARCHETYPES[rival.archetype];
+    this.archetype    = arch;
+    this.aggression   = Math.max(0, Math.min(1, rng.range(...arch.aggression) + tier.aggression));
+    this._reaction    = rng.range(...arch.reaction) * tier.reaction;
+    this.reactionTime = this._reaction;
+    this.holdGap      = rng.range(...arch.holdGap);   // px ahead of the player it settles at
     this._reactionTimer = 0;
 
     // Movement
     this.targetLane          = lane;
     this.laneChangeCooldown  = 0;
     this.LANE_CHANGE_COOLDOWN = 0.75;
-    this.LATERAL_SPEED       = 650;
-    this.lookAhead           = 130;
+    this.LATERAL_SPEED       = arch.lateral;
+    this.lookAhead           = arch.lookAhead;
 
     this._rubberBandMult = 1.0;
+    this._slowAhead      = Math.max(0.5, 1 - 0.18 * tier.rubberBand);   // pace while too far ahead
+    this._catchUp        = 1 + (arch.catchUp - 1) * tier.rubberBand;     // pace while closing back in
     this._playerBehind   = false;  // for overtake scoring
     this._blockTimer     = 0;
+    this._braking        = false;  // no lane to dodge into — backing off
+
+    this.vx = 0;   // lateral speed last tick, px/s
+
+    // Collision response
+    this._vx    = 0;   // shove velocity, px/s
+    this._spin  = 0;   // rad/s
+    this.angle  = 0;
+  }
+
+  // Lateral impulse from a collision. A spin sends the car out of control
+  // for a moment; either way it ends up in the next lane over.
+  shove(vx, spin = 0) {
+    this._vx  += vx;
+    this._spin = spin;
+    if (spin !== 0) {
+      this.state       = STATES.SPIN;
+      this._stateTimer = AI_SPIN_TIME;
+    }
+    const dir  = Math.sign(vx);
+    const next = Math.max(0, Math.min(this.laneCenters.length - 1, this._nearestLane() + dir));
+    this.targetLane         = next;
+    this.laneChangeCooldown = this.LANE_CHANGE_COOLDOWN;
+  }
+
+  get spinning() { return this.state === STATES.SPIN; }
+
+  // Wrecked: the simulation leaves a wreck where it was and the rival
+  // rejoins from up the road
+  rejoin(player) {
+    this._respawnAbove(player);
+  }
+
+  // Lanes under the car right now — they shift as a taper scrolls past
+  get laneCenters() { return this.road.centersAt(this.y); }
+
+  _nearestLane() {
+    const lanes = this.laneCenters;
+    return lanes.reduce((best, lx, i) =>
+      Math.abs(lx - this.x) < Math.abs(lanes[best] - this.x) ? i : best, 0);
   }
 
   update(dt, gameSpeed, player, obstacles, peers = []) {
     // Difficulty scaling
     const speedT = Math.min((gameSpeed - 200) / 400, 1);
-    this.lookAhead            = 130 + speedT * 90;
+    this.lookAhead            = this.archetype.lookAhead + speedT * 90;
     this.LANE_CHANGE_COOLDOWN = Math.max(0.8, 1.5 - speedT * 0.5);
-    this.reactionTime         = Math.max(0, this.reactionTime * (1 - speedT * 0.3));
+    this.reactionTime         = this._reaction * (1 - speedT * 0.3);
 
     this._stateTimer -= dt;
     if (this.laneChangeCooldown > 0) this.laneChangeCooldown -= dt;
 
     this._updateRubberBand(player, gameSpeed);
 
+    if (this.state === STATES.SPIN) {
+      this._updateSpin(dt, gameSpeed);
+      return;
+    }
+
     if (this._reactionTimer > 0) {
       this._reactionTimer -= dt;
     } else {
@@ -65,13 +130,33 @@ export class AICar {
     this._applyMovement(dt, gameSpeed);
   }
 
+  // Sliding sideways and turning, losing ground; straightens up into
+  // targetLane when the timer runs out
+  _updateSpin(dt, gameSpeed) {
+    this.vx     = this._vx;
+    this.angle += this._spin * dt;
+    this._spin *= Math.exp(-1.5 * dt);
+    this.x     += this._vx * dt;
+    this._vx   *= Math.exp(-SLIDE_DAMP * dt);
+    this.y     -= gameSpeed * 0.7 * dt;   // scrubbing speed: drops back
+    const lanes = this.laneCenters;
+    const lo = lanes[0], hi = lanes[lanes.length - 1];
+    this.x = Math.max(lo, Math.min(hi, this.x));
+    if (this._stateTimer <= 0) {
+      this.state = STATES.CRUISE;
+      this.angle = 0;
+      this._spin = 0;
+      this._vx   = 0;
+    }
+  }
+
   _updateRubberBand(player, gameSpeed) {
-    const delta = this.y - player.y; // positive = AI visually above player (ahead)
+    const delta = player.y - this.y; // positive = AI visually above player (ahead)
 
-    if (delta > 220) {
+    if (delta > this.holdGap) {
       // Too far ahead — slow down
-      this._rubberBandMult = 0.82;
-    } else if (delta < -80) {
+      this._rubberBandMult = this._slowAhead;
+    } else if (delta < -RESPAWN_BEHIND) {
       // Too far behind — respawn ahead
       this._respawnAbove(player);
       this._rubberBandMult = 1.0;
@@ -81,44 +166,79 @@ export class AICar {
   }
 
   _respawnAbove(player) {
-    this.y          = player.y - 740 - Math.random() * 300;
-    this.lane       = Math.floor(Math.random() * 3);
+    this.y          = player.y - 740 - this.rng.next() * 300;
+    this.lane       = this.rng.int(this.laneCenters.length);
     this.targetLane = this.lane;
     this.x          = this.laneCenters[this.lane];
     this.state      = STATES.CRUISE;
     this._playerBehind = false;
+    this.angle = this._spin = this._vx = 0;
   }
 
   _think(player, obstacles, peers = []) {
     this._reactionTimer = this.reactionTime;
+    this._braking       = false;
 
-    // 1. Obstacle dodge — highest priority
-    if (this._scanObstacle(obstacles) && this.state !== STATES.DODGE) {
+    // 1. Obstacle dodge — highest priority; retried while the lane ahead is
+    //    still blocked and no lane change is under way. With nowhere to go
+    //    it brakes, though a slow reaction can still leave it too late.
+    if (this._scanObstacle(obstacles) &&
+        (this.state !== STATES.DODGE || this.targetLane === this.lane)) {
       this.state       = STATES.DODGE;
       this._stateTimer = 1.2;
       this._dodge(obstacles, peers);
+      this._braking    = this.targetLane === this.lane;
       return;
     }
 
-    // 2. Rubber-band catch-up
-    const delta = this.y - player.y;
+    // 2. Boosting player closing from behind — aggressive cars cut across
+    //    to block, the rest clear the player's lane
+    const gap = player.y - this.y;
+    if (player.boosting && gap > 0 && gap < 260 &&
+        this.state !== STATES.BLOCK && this.state !== STATES.OVERTAKE) {
+      if (this.aggression > this.archetype.boostBlockAt && this._blockTimer <= 0) {
+        this.state       = STATES.BLOCK;
+        this._stateTimer = 1.0;
+        this._blockTimer = 3.0;
+        this._planBlock(player, peers);
+        return;
+      }
+      if (this.lane === player.lane) {
+        this.state       = STATES.OVERTAKE;
+        this._stateTimer = 0.8;
+        this._planOvertake(player, peers);
+        return;
+      }
+    }
+
+    // 3. Rubber-band catch-up
+    const delta = player.y - this.y;
     if (delta < -40) {
       this.state       = STATES.ACCELERATE;
       this._stateTimer = 0.6;
       return;
     }
 
-    // 3. Aggressive behaviour when near player
+    // 4. Aggressive behaviour when near player
     const vertDist = Math.abs(this.y - player.y);
     if (vertDist < 140) {
-      if (this.aggression > 0.82 && this.state !== STATES.BLOCK && this._blockTimer <= 0) {
+      if (this.archetype.sideswipe && vertDist < 70 && this._blockTimer <= 0 &&
+          Math.abs(player.lane - this.lane) === 1) {
+        // Dirty racer: alongside in the next lane — swerve into the player
+        this.state       = STATES.BLOCK;
+        this._stateTimer = 0.6;
+        this._blockTimer = 2.5;
+        this._changeLane(player.lane);
+        return;
+      }
+      if (this.aggression > this.archetype.blockAt && this.state !== STATES.BLOCK && this._blockTimer <= 0) {
         // High aggression: BLOCK — move into player's lane to cut them off
         this.state       = STATES.BLOCK;
         this._stateTimer = 1.4;
         this._blockTimer = 3.0;
         this._planBlock(player, peers);
         return;
-      } else if (this.aggression > 0.65 && this.state !== STATES.OVERTAKE) {
+      } else if (this.aggression > this.archetype.overtakeAt && this.state !== STATES.OVERTAKE) {
         // Medium aggression: OVERTAKE — move to free lane
         this.state       = STATES.OVERTAKE;
         this._stateTimer = 1.0;
@@ -152,25 +272,35 @@ export class AICar {
     );
   }
 
+  // Nearest lane with nothing ahead. When every lane is blocked (roadworks
+  // beside traffic), fall back to the one whose obstacle is furthest off.
   _dodge(obstacles, peers = []) {
     if (this.laneChangeCooldown > 0) return;
-    const safeLanes = [0, 1, 2].filter(l => {
-      const lx = this.laneCenters[l];
-      const hasObstacle = obstacles.some(o =>
-        Math.abs(o.x - lx) < (this.width * 0.5 + o.width * 0.4) &&
-        o.y > this.y - this.lookAhead &&
-        o.y < this.y + this.height
-      );
-      return !hasObstacle && !this._laneOccupied(l, peers);
+    const lanes = this.laneCenters;
+    const room  = lanes.map(lx => {
+      let gap = Infinity;
+      for (const o of obstacles) {
+        if (Math.abs(o.x - lx) < (this.width * 0.5 + o.width * 0.4) &&
+            o.y > this.y - this.lookAhead && o.y < this.y + this.height) {
+          gap = Math.min(gap, this.y - o.y);
+        }
+      }
+      return gap;
     });
-    if (safeLanes.length === 0) return;
-    safeLanes.sort((a, b) => Math.abs(a - this.lane) - Math.abs(b - this.lane));
-    this._changeLane(safeLanes[0]);
+    const open = lanes.map((_, l) => l).filter(l => !this._laneOccupied(l, peers));
+    const safeLanes = open.filter(l => room[l] === Infinity);
+    if (safeLanes.length > 0) {
+      safeLanes.sort((a, b) => Math.abs(a - this.lane) - Math.abs(b - this.lane));
+      this._changeLane(safeLanes[0]);
+      return;
+    }
+    const best = open.reduce((a, b) => (a === null || room[b] > room[a] ? b : a), null);
+    if (best !== null && room[best] > room[Math.min(this.lane, lanes.length - 1)]) this._changeLane(best);
   }
 
   _planOvertake(player, peers = []) {
     if (this.laneChangeCooldown > 0) return;
-    const freeLanes = [0, 1, 2].filter(l =>
+    const freeLanes = this.laneCenters.map((_, l) => l).filter(l =>
       l !== player.lane && !this._laneOccupied(l, peers)
     );
     if (!freeLanes.length) return;
@@ -186,21 +316,37 @@ export class AICar {
   }
 
   _changeLane(newLane) {
-    if (newLane < 0 || newLane > 2 || newLane === this.targetLane) return;
+    if (newLane < 0 || newLane >= this.laneCenters.length || newLane === this.targetLane) return;
     this.targetLane          = newLane;
     this.laneChangeCooldown  = this.LANE_CHANGE_COOLDOWN;
   }
 
-  _applyMovement(dt, gameSpeed) {
-    let vMult = this._rubberBandMult;
-    if (this.state === STATES.ACCELERATE) vMult *= 1.18;
+  // Own speed up the screen as a multiple of game speed
+  _paceMult() {
+    let vMult = this._rubberBandMult * this.archetype.pace;
+    if (this.state === STATES.ACCELERATE) vMult *= this._catchUp;
     if (this.state === STATES.BLOCK)      vMult *= 1.05;
+    if (this._braking)                    vMult *= BRAKE_PACE;
+    return vMult;
+  }
 
-    const relSpeed = gameSpeed * (vMult - 1.0);
-    this.y += relSpeed * dt;
+  _applyMovement(dt, gameSpeed) {
+    // scroll() brings the road's speed back down, so at 1 the car keeps
+    // pace with a player at cruising speed
+    this.y -= gameSpeed * this._paceMult() * dt;
+
+    // Leftover shove carries on, then the lane lerp takes over
+    const x0 = this.x;
+    if (this._vx !== 0) {
+      this.x   += this._vx * dt;
+      this._vx *= Math.exp(-SLIDE_DAMP * dt);
+      if (Math.abs(this._vx) < 5) this._vx = 0;
+    }
 
-    // Lateral lerp
-    const targetX = this.laneCenters[this.targetLane];
+    // Lateral lerp; a lane that has ended folds into the edge lane
+    const lanes = this.laneCenters;
+    if (this.targetLane >= lanes.length) this.targetLane = lanes.length - 1;
+    const targetX = lanes[this.targetLane];
     const dx      = targetX - this.x;
     const step    = this.LATERAL_SPEED * dt;
     if (Math.abs(dx) <= step) {
@@ -209,6 +355,7 @@ export class AICar {
     } else {
       this.x += Math.sign(dx) * step;
     }
+    this.vx = (this.x - x0) / dt;
   }
 
   scroll(amount) {
@@ -225,6 +372,11 @@ export class AICar {
     const col  = this.color;
 
     ctx.save();
+    if (this.angle) {
+      ctx.translate(x, y);
+      ctx.rotate(this.angle);
+      ctx.translate(-x, -y);
+    }
 
     // Body silhouette
     ctx.beginPath();
@@ -293,5 +445,16 @@ export class AICar {
     }
 
     ctx.restore();
+
+    // Name tag, kept upright through spins
+    ctx.save();
+    ctx.font         = 'bold 9px "Courier New"';
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle    = col;
+    ctx.shadowColor  = col;
+    ctx.shadowBlur   = 6;
+    ctx.fillText(this.name, x, y - hh - 6);
+    ctx.restore();
   }
 }
@@ -1,15 +1,25 @@
 /**
  * audio.js — Procedural Synthwave Music & SFX
  * Web Audio API, BPM=120, 8-bar looping pattern
+ * Sections: 'main' for normal driving, 'boss' while a boss is on the road,
+ * 'triumph' for one pattern after it falls. Changes land on the next bar.
  */
 
+const TRIUMPH_BARS = 8;   // then back to 'main'
+
 export class SynthwaveAudio {
   constructor() {
     this.ctx = null;
     this.masterGain = null;
+    this.sfxGain = null;
     this.compressor = null;
     this.sectionGains = {};
 
+    // Mix levels at 100% volume; user volumes (0–1) scale these
+    this._masterLevel = 0.72;
+    this._sectionLevels = { kick: 0.9, snare: 0.6, hihat: 0.32, bass: 0.55, melody: 0.3, pad: 0.12 };
+    this._volumes = { master: 1, music: 1, sfx: 1 };
+
     this.BPM = 120;
     this.beatDuration = 60 / this.BPM;       // 0.5s
     this.barDuration = this.beatDuration * 4; // 2s
@@ -42,6 +52,18 @@ export class SynthwaveAudio {
       { note: 0,     dur: 1   },
     ];
 
+    // Boss section: driving eighth-note bass, an octave down on the turnaround
+    this._bossBass = [
+      92.5, 92.5, 92.5, 110,
+      92.5, 92.5, 82.4, 92.5,
+      92.5, 92.5, 92.5, 110,
+      123.5, 110, 92.5, 82.4,
+    ];
+
+    this._section      = 'main';
+    this._nextSection  = null;   // applied at the next bar line
+    this._sectionBars  = 0;      // bars played in the current section
+
     this._dynamicSpeed = 200;
   }
 
@@ -59,7 +81,7 @@ export class SynthwaveAudio {
     this.ctx = new (window.AudioContext || window.webkitAudioContext)();
 
     this.masterGain = this.ctx.createGain();
-    this.masterGain.gain.value = 0.72;
+    this.masterGain.gain.value = this._masterLevel * this._volumes.master;
 
     this.compressor = this.ctx.createDynamicsCompressor();
     this.compressor.threshold.value = -18;
@@ -70,17 +92,16 @@ export class SynthwaveAudio {
     this.masterGain.connect(this.compressor);
     this.compressor.connect(this.ctx.destination);
 
-    for (const name of ['kick', 'snare', 'hihat', 'bass', 'melody', 'pad']) {
+    for (const [name, level] of Object.entries(this._sectionLevels)) {
       const g = this.ctx.createGain();
+      g.gain.value = level * this._volumes.music;
       g.connect(this.masterGain);
       this.sectionGains[name] = g;
     }
-    this.sectionGains.kick.gain.value   = 0.9;
-    this.sectionGains.snare.gain.value  = 0.6;
-    this.sectionGains.hihat.gain.value  = 0.32;
-    this.sectionGains.bass.gain.value   = 0.55;
-    this.sectionGains.melody.gain.value = 0.3;
-    this.sectionGains.pad.gain.value    = 0.12;
+
+    this.sfxGain = this.ctx.createGain();
+    this.sfxGain.gain.value = this._volumes.sfx;
+    this.sfxGain.connect(this.masterGain);
 
     this._noiseBuffer = this._createNoiseBuffer(1);
     this._reverbNode  = await this._createReverb(1.2, 2.0);
@@ -89,10 +110,13 @@ export class SynthwaveAudio {
   // ─── Transport ────────────────────────────────────────────────────────────
 
   start() {
-    if (!this.ctx || this._started) return;
+    if (!this.ctx || this._schedulerTimer) return;
     if (this.ctx.state === 'suspended') this.ctx.resume();
     this._started = true;
     this._beat = 0;
+    this._section     = 'main';
+    this._nextSection = null;
+    this._sectionBars = 0;
     this._nextBeatTime = this.ctx.currentTime + 0.05;
     this._schedulerTimer = setInterval(() => this._schedule(), 100);
   }
@@ -103,19 +127,47 @@ export class SynthwaveAudio {
     this._started = false;
   }
 
+  // Freeze mid-bar: the scheduler stops and the context suspends, so notes
+  // already queued wait with it instead of drifting against a throttled tab.
+  // resume() carries on from the same beat.
+  pause() {
+    clearInterval(this._schedulerTimer);
+    this._schedulerTimer = null;
+    if (this.ctx?.state === 'running') this.ctx.suspend();
+  }
+
   resume() {
     if (this.ctx?.state === 'suspended') this.ctx.resume();
     if (!this._started) this.start();
+    else if (!this._schedulerTimer) this._schedulerTimer = setInterval(() => this._schedule(), 100);
+  }
+
+  // 'main' | 'boss' | 'triumph'
+  setSection(name) {
+    if (name !== this._section) this._nextSection = name;
   }
 
   setSpeed(speed) {
     this._dynamicSpeed = speed;
     const t = Math.min((speed - 200) / 400, 1);
     if (this.sectionGains.melody) {
-      this.sectionGains.melody.gain.setTargetAtTime(0.3 + t * 0.25, this.ctx.currentTime, 0.5);
+      const level = (this._sectionLevels.melody + t * 0.25) * this._volumes.music;
+      this.sectionGains.melody.gain.setTargetAtTime(level, this.ctx.currentTime, 0.5);
     }
   }
 
+  // User volumes, each 0–1. Safe before init(); applied when the graph is built.
+  setVolumes({ master = this._volumes.master, music = this._volumes.music, sfx = this._volumes.sfx } = {}) {
+    this._volumes = { master, music, sfx };
+    if (!this.ctx) return;
+    const now = this.ctx.currentTime;
+    this.masterGain.gain.setTargetAtTime(this._masterLevel * master, now, 0.02);
+    for (const [name, g] of Object.entries(this.sectionGains)) {
+      g.gain.setTargetAtTime(this._sectionLevels[name] * music, now, 0.02);
+    }
+    this.sfxGain.gain.setTargetAtTime(sfx, now, 0.02);
+  }
+
   // ─── Scheduler ────────────────────────────────────────────────────────────
 
   _schedule() {
@@ -132,42 +184,67 @@ export class SynthwaveAudio {
     const beat = beatAbs % (this.patternBars * 4); // 0-31
     const bar  = Math.floor(beat / 4);
 
-    // Kick: every downbeat + off-beat ghost
+    if (beat % 4 === 0) this._advanceSection();
+    const sec = this._section;
+
+    // Kick: every downbeat + off-beat ghost; four to the floor outside 'main'
     if (beat % 4 === 0) this._kick(time);
-    if (beat % 8 === 4) this._kick(time, 0.55);
+    if (sec === 'main' ? beat % 8 === 4 : beat % 4 !== 0) this._kick(time, 0.55);
 
     // Snare: beat 2 of every bar
     if (beat % 4 === 2) this._snare(time);
 
-    // Hi-hat: 8th notes + occasional open
-    this._hihat(time, false);
-    this._hihat(time + this.beatDuration * 0.5, false);
+    // Hi-hat: 8th notes (16ths in a boss fight) + occasional open
+    const hats = sec === 'boss' ? 4 : 2;
+    for (let i = 0; i < hats; i++) this._hihat(time + this.beatDuration * i / hats, false);
     if (bar % 2 === 0 && beat % 8 === 0) {
       this._hihat(time + this.beatDuration * 2, true);
     }
 
     // Bass
-    const bassFreq = this._bassPattern[beat % 16];
-    if (bassFreq > 0) this._bass(time, bassFreq, this.beatDuration * 0.82);
+    if (sec === 'boss') {
+      const f = this._bossBass[beat % 16];
+      this._bass(time, f, this.beatDuration * 0.4);
+      this._bass(time + this.beatDuration * 0.5, f, this.beatDuration * 0.4);
+    } else {
+      const bassFreq = this._bassPattern[beat % 16];
+      if (bassFreq > 0) this._bass(time, bassFreq, this.beatDuration * 0.82);
+    }
+
+    // Melody — the boss fight drops it; the triumph plays it an octave up
+    if (sec !== 'boss') this._melodyBeat(beat, time, sec === 'triumph' ? 2 : 1);
 
-    // Melody
-    this._melodyBeat(beat, time);
+    // Pad: clean sine chord, no vibrato — fires every half-pattern, or every
+    // bar on a section change so the new chord comes in with it
+    if (beat === 0 || beat === 16 || (beat % 4 === 0 && this._sectionBars === 1)) {
+      const chord = sec === 'boss' ? [146.8, 185] : sec === 'triumph' ? [220, 277.2] : [185, 220];
+      for (const f of chord) this._pad(time, f, this.barDuration * 4);
+    }
+  }
 
-    // Pad: clean sine chord, no vibrato — fires every half-pattern
-    if (beat === 0 || beat === 16) {
-      this._pad(time, 185, this.barDuration * 4);
-      this._pad(time, 220, this.barDuration * 4);
+  // Called on each bar line
+  _advanceSection() {
+    if (this._nextSection) {
+      this._section     = this._nextSection;
+      this._nextSection = null;
+      this._sectionBars = 0;
+    }
+    this._sectionBars++;
+    if (this._section === 'triumph' && this._sectionBars > TRIUMPH_BARS) {
+      this._section     = 'main';
+      this._sectionBars = 1;
     }
   }
 
-  _melodyBeat(beat, time) {
+  // transpose: frequency multiplier
+  _melodyBeat(beat, time, transpose = 1) {
     const patternBeat = beat % (this.patternBars * 4);
     const elapsed = patternBeat * this.beatDuration;
     let noteAccum = 0;
     for (const n of this._melodyPattern) {
       const noteTime = noteAccum * this.beatDuration;
       if (noteTime >= elapsed && noteTime < elapsed + this.beatDuration && n.note > 0) {
-        this._lead(time + (noteTime - elapsed), n.note, n.dur * this.beatDuration * 0.78);
+        this._lead(time + (noteTime - elapsed), n.note * transpose, n.dur * this.beatDuration * 0.78);
       }
       noteAccum += n.dur;
     }
@@ -284,7 +361,7 @@ export class SynthwaveAudio {
       osc.frequency.linearRampToValueAtTime(820, t + 0.18);
       env.gain.setValueAtTime(0.35, t);
       env.gain.exponentialRampToValueAtTime(0.001, t + 0.22);
-      osc.connect(env); env.connect(this.masterGain);
+      osc.connect(env); env.connect(this.sfxGain);
       osc.start(t); osc.stop(t + 0.22);
 
     } else if (type === 'collision') {
@@ -295,16 +372,322 @@ export class SynthwaveAudio {
       const env = this.ctx.createGain();
       env.gain.setValueAtTime(0.9, t);
       env.gain.exponentialRampToValueAtTime(0.001, t + 0.35);
-      buf.connect(lp); lp.connect(env); env.connect(this.masterGain);
+      buf.connect(lp); lp.connect(env); env.connect(this.sfxGain);
+      buf.start(t); buf.stop(t + 0.35);
+
+    } else if (type === 'nearmiss') {
+      // Filtered noise swept upward — a car whipping past
+      const buf = this.ctx.createBufferSource();
+      buf.buffer = this._noiseBuffer;
+      const bp  = this.ctx.createBiquadFilter();
+      bp.type = 'bandpass'; bp.Q.value = 3;
+      bp.frequency.setValueAtTime(600, t);
+      bp.frequency.exponentialRampToValueAtTime(3200, t + 0.2);
+      const env = this.ctx.createGain();
+      env.gain.setValueAtTime(0.001, t);
+      env.gain.exponentialRampToValueAtTime(0.45, t + 0.06);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.24);
+      buf.connect(bp); bp.connect(env); env.connect(this.sfxGain);
+      buf.start(t); buf.stop(t + 0.24);
+
+    } else if (type === 'nitroempty') {
+      // Two falling sputters — the tank coughing dry
+      [0, 0.11].forEach((dt, i) => {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.type = 'sawtooth';
+        const st = t + dt;
+        osc.frequency.setValueAtTime(180 - i * 50, st);
+        osc.frequency.exponentialRampToValueAtTime(60, st + 0.09);
+        env.gain.setValueAtTime(0.3, st);
+        env.gain.exponentialRampToValueAtTime(0.001, st + 0.1);
+        osc.connect(env); env.connect(this.sfxGain);
+        osc.start(st); osc.stop(st + 0.1);
+      });
+
+    } else if (type === 'pickup') {
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'triangle';
+      osc.frequency.setValueAtTime(660, t);
+      osc.frequency.setValueAtTime(990, t + 0.06);
+      env.gain.setValueAtTime(0.3, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.18);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.18);
+
+    } else if (type === 'shield') {
+      // Bright major arpeggio, triangle shimmer
+      [523, 659, 784, 1047].forEach((freq, i) => {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.type = 'triangle'; osc.frequency.value = freq;
+        const st = t + i * 0.04;
+        env.gain.setValueAtTime(0.22, st);
+        env.gain.exponentialRampToValueAtTime(0.001, st + 0.3);
+        osc.connect(env); env.connect(this.sfxGain);
+        osc.start(st); osc.stop(st + 0.3);
+      });
+
+    } else if (type === 'ghost') {
+      // Two detuned sines beating against each other
+      [440, 446].forEach(freq => {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(freq, t);
+        osc.frequency.exponentialRampToValueAtTime(freq * 1.5, t + 0.4);
+        env.gain.setValueAtTime(0.001, t);
+        env.gain.exponentialRampToValueAtTime(0.2, t + 0.1);
+        env.gain.exponentialRampToValueAtTime(0.001, t + 0.45);
+        osc.connect(env); env.connect(this.sfxGain);
+        osc.start(t); osc.stop(t + 0.45);
+      });
+
+    } else if (type === 'slowmo') {
+      // Long downward sweep — tape slowing
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'sawtooth';
+      osc.frequency.setValueAtTime(900, t);
+      osc.frequency.exponentialRampToValueAtTime(110, t + 0.5);
+      const lp = this.ctx.createBiquadFilter();
+      lp.type = 'lowpass'; lp.frequency.value = 1800;
+      env.gain.setValueAtTime(0.22, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.55);
+      osc.connect(lp); lp.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.55);
+
+    } else if (type === 'magnet') {
+      // Pulsing square hum
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'square'; osc.frequency.value = 220;
+      env.gain.setValueAtTime(0.001, t);
+      for (let i = 0; i < 3; i++) {
+        env.gain.exponentialRampToValueAtTime(0.18, t + i * 0.1 + 0.03);
+        env.gain.exponentialRampToValueAtTime(0.01, t + i * 0.1 + 0.09);
+      }
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.32);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.32);
+
+    } else if (type === 'shieldbreak') {
+      // Glassy ping over a short crunch
+      const buf = this.ctx.createBufferSource();
+      buf.buffer = this._noiseBuffer;
+      const hp  = this.ctx.createBiquadFilter();
+      hp.type = 'highpass'; hp.frequency.value = 2500;
+      const nEnv = this.ctx.createGain();
+      nEnv.gain.setValueAtTime(0.4, t);
+      nEnv.gain.exponentialRampToValueAtTime(0.001, t + 0.2);
+      buf.connect(hp); hp.connect(nEnv); nEnv.connect(this.sfxGain);
+      buf.start(t); buf.stop(t + 0.2);
+
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'sine'; osc.frequency.value = 1760;
+      env.gain.setValueAtTime(0.25, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.4);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.4);
+
+    } else if (type === 'powerdown') {
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.setValueAtTime(660, t);
+      osc.frequency.setValueAtTime(440, t + 0.07);
+      env.gain.setValueAtTime(0.15, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.16);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.16);
+
+    } else if (type === 'bump') {
+      // Dull low thud, much softer than a full collision
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(140, t);
+      osc.frequency.exponentialRampToValueAtTime(55, t + 0.12);
+      env.gain.setValueAtTime(0.45, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.14);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.14);
+
+    } else if (type === 'ram') {
+      // Metal crunch plus a tyre squeal as the rival spins away
+      const buf = this.ctx.createBufferSource();
+      buf.buffer = this._noiseBuffer;
+      const lp  = this.ctx.createBiquadFilter();
+      lp.type = 'lowpass'; lp.frequency.value = 800;
+      const env = this.ctx.createGain();
+      env.gain.setValueAtTime(0.7, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.2);
+      buf.connect(lp); lp.connect(env); env.connect(this.sfxGain);
+      buf.start(t); buf.stop(t + 0.2);
+
+      const osc = this.ctx.createOscillator();
+      const sq  = this.ctx.createGain();
+      osc.type = 'sawtooth';
+      osc.frequency.setValueAtTime(900, t + 0.05);
+      osc.frequency.exponentialRampToValueAtTime(500, t + 0.5);
+      sq.gain.setValueAtTime(0.001, t);
+      sq.gain.exponentialRampToValueAtTime(0.12, t + 0.08);
+      sq.gain.exponentialRampToValueAtTime(0.001, t + 0.5);
+      osc.connect(sq); sq.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.5);
+
+    } else if (type === 'oil') {
+      // Tyres losing the road: a wavering high squeal
+      const osc = this.ctx.createOscillator();
+      const lfo = this.ctx.createOscillator();
+      const dep = this.ctx.createGain();
+      const env = this.ctx.createGain();
+      osc.type = 'triangle';
+      osc.frequency.setValueAtTime(1100, t);
+      lfo.frequency.value = 14;
+      dep.gain.value      = 120;
+      lfo.connect(dep); dep.connect(osc.frequency);
+      env.gain.setValueAtTime(0.001, t);
+      env.gain.exponentialRampToValueAtTime(0.14, t + 0.05);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.6);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.6);
+      lfo.start(t); lfo.stop(t + 0.6);
+
+    } else if (type === 'pothole') {
+      // Two quick suspension thumps, front wheels then rear
+      for (const dt of [0, 0.09]) {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(90, t + dt);
+        osc.frequency.exponentialRampToValueAtTime(40, t + dt + 0.1);
+        env.gain.setValueAtTime(0.6, t + dt);
+        env.gain.exponentialRampToValueAtTime(0.001, t + dt + 0.12);
+        osc.connect(env); env.connect(this.sfxGain);
+        osc.start(t + dt); osc.stop(t + dt + 0.12);
+      }
+
+    } else if (type === 'siren') {
+      // One wail: two detuned saws swept up and back down
+      for (const detune of [0, 7]) {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+        osc.type = 'sawtooth';
+        osc.detune.value = detune;
+        osc.frequency.setValueAtTime(620, t);
+        osc.frequency.linearRampToValueAtTime(980, t + 0.5);
+        osc.frequency.linearRampToValueAtTime(620, t + 1.0);
+        env.gain.setValueAtTime(0.001, t);
+        env.gain.exponentialRampToValueAtTime(0.05, t + 0.08);
+        env.gain.setValueAtTime(0.05, t + 0.9);
+        env.gain.exponentialRampToValueAtTime(0.001, t + 1.05);
+        osc.connect(env); env.connect(this.sfxGain);
+        osc.start(t); osc.stop(t + 1.05);
+      }
+
+    } else if (type === 'crash') {
+      // Somebody else's crash: a muffled crunch and a scatter of glass
+      const buf = this.ctx.createBufferSource();
+      buf.buffer = this._noiseBuffer;
+      const lp  = this.ctx.createBiquadFilter();
+      lp.type = 'lowpass'; lp.frequency.value = 600;
+      const env = this.ctx.createGain();
+      env.gain.setValueAtTime(0.5, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.35);
+      buf.connect(lp); lp.connect(env); env.connect(this.sfxGain);
       buf.start(t); buf.stop(t + 0.35);
 
+      for (let i = 0; i < 4; i++) {
+        const osc = this.ctx.createOscillator();
+        const og  = this.ctx.createGain();
+        const st  = t + 0.05 + i * 0.045;
+        osc.type = 'sine'; osc.frequency.value = 2600 + i * 730;
+        og.gain.setValueAtTime(0.06, st);
+        og.gain.exponentialRampToValueAtTime(0.001, st + 0.08);
+        osc.connect(og); og.connect(this.sfxGain);
+        osc.start(st); osc.stop(st + 0.08);
+      }
+
+    } else if (type === 'bosshit') {
+      // Metal on metal: a ringing clank over a low thud
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.setValueAtTime(1320, t);
+      osc.frequency.exponentialRampToValueAtTime(660, t + 0.25);
+      env.gain.setValueAtTime(0.12, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.25);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t); osc.stop(t + 0.25);
+
+      const thud = this.ctx.createOscillator();
+      const tg   = this.ctx.createGain();
+      thud.type = 'sine';
+      thud.frequency.setValueAtTime(110, t);
+      thud.frequency.exponentialRampToValueAtTime(45, t + 0.15);
+      tg.gain.setValueAtTime(0.7, t);
+      tg.gain.exponentialRampToValueAtTime(0.001, t + 0.18);
+      thud.connect(tg); tg.connect(this.sfxGain);
+      thud.start(t); thud.stop(t + 0.18);
+
+    } else if (type === 'bossdown') {
+      // Long rumbling blast, then a rising major arpeggio
+      const buf = this.ctx.createBufferSource();
+      buf.buffer = this._noiseBuffer;
+      buf.loop   = true;
+      const lp  = this.ctx.createBiquadFilter();
+      lp.type = 'lowpass';
+      lp.frequency.setValueAtTime(1800, t);
+      lp.frequency.exponentialRampToValueAtTime(120, t + 1.2);
+      const env = this.ctx.createGain();
+      env.gain.setValueAtTime(0.9, t);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 1.2);
+      buf.connect(lp); lp.connect(env); env.connect(this.sfxGain);
+      buf.start(t); buf.stop(t + 1.2);
+
+      [440, 554.4, 659.3, 880].forEach((f, i) => {
+        const osc = this.ctx.createOscillator();
+        const og  = this.ctx.createGain();
+        const st  = t + 0.3 + i * 0.1;
+        osc.type = 'triangle'; osc.frequency.value = f;
+        og.gain.setValueAtTime(0.22, st);
+        og.gain.exponentialRampToValueAtTime(0.001, st + 0.35);
+        osc.connect(og); og.connect(this.sfxGain);
+        osc.start(st); osc.stop(st + 0.35);
+      });
+
+    } else if (type === 'repair') {
+      // Ratchet: three quick clicks then a confirming tone
+      for (let i = 0; i < 3; i++) {
+        const buf = this.ctx.createBufferSource();
+        buf.buffer = this._noiseBuffer;
+        const bp  = this.ctx.createBiquadFilter();
+        bp.type = 'bandpass'; bp.frequency.value = 3000; bp.Q.value = 6;
+        const env = this.ctx.createGain();
+        const st  = t + i * 0.06;
+        env.gain.setValueAtTime(0.5, st);
+        env.gain.exponentialRampToValueAtTime(0.001, st + 0.03);
+        buf.connect(bp); bp.connect(env); env.connect(this.sfxGain);
+        buf.start(st); buf.stop(st + 0.03);
+      }
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = 'triangle'; osc.frequency.value = 784;
+      env.gain.setValueAtTime(0.25, t + 0.2);
+      env.gain.exponentialRampToValueAtTime(0.001, t + 0.4);
+      osc.connect(env); env.connect(this.sfxGain);
+      osc.start(t + 0.2); osc.stop(t + 0.4);
+
     } else if (type === 'select') {
       const osc = this.ctx.createOscillator();
       const env = this.ctx.createGain();
       osc.type = 'square'; osc.frequency.value = 880;
       env.gain.setValueAtTime(0.28, t);
       env.gain.exponentialRampToValueAtTime(0.001, t + 0.08);
-      osc.connect(env); env.connect(this.masterGain);
+      osc.connect(env); env.connect(this.sfxGain);
       osc.start(t); osc.stop(t + 0.08);
 
     } else if (type === 'gamestart') {
@@ -315,7 +698,7 @@ export class SynthwaveAudio {
         const st = t + i * 0.07;
         env.gain.setValueAtTime(0.22, st);
         env.gain.exponentialRampToValueAtTime(0.001, st + 0.14);
-        osc.connect(env); env.connect(this.masterGain);
+        osc.connect(env); env.connect(this.sfxGain);
         osc.start(st); osc.stop(st + 0.14);
       });
     }
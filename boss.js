@@ -0,0 +1,311 @@
+/**
+ * boss.js — Armoured boss vehicle
+ * A wide rig that straddles two lanes (one on two-lane roads) and holds
+ * station just ahead of the player. Its own FSM, modelled on AICar's:
+ *   ENTER → HOLD → WARN → SWERVE → HOLD …   (scripted lane pattern)
+ *                → DROP   → HOLD …          (obstacles out the back)
+ *   overtaken → RECOVER;  armour gone → DEFEATED
+ * The simulation owns damage and scoring; the boss only reports drops.
+ */
+
+export const BOSS_STATES = {
+  ENTER:    'ENTER',     // rolling down from above the screen
+  HOLD:     'HOLD',      // sat in front of the player, covering their lane
+  WARN:     'WARN',      // hazard lights flash before a swerve
+  SWERVE:   'SWERVE',    // stepping through a lane pattern
+  DROP:     'DROP',      // tipping obstacles off the back
+  RECOVER:  'RECOVER',   // overtaken — forcing its way back in front
+  DEFEATED: 'DEFEATED',  // smoking, falling back off screen
+};
+
+const S = BOSS_STATES;
+
+export const BOSS_NAMES = ['JUGGERNAUT', 'BEHEMOTH', 'LEVIATHAN'];
+
+// Swerve patterns: lane steps taken one per SWERVE_STEP
+const PATTERNS = [
+  [-1, 1, 1, -1],
+  [1, 1, -1, -1],
+  [-1, -1, 1, 1],
+  [1, -1, 1, -1, 1],
+];
+
+const HOLD_GAP     = 250;    // px in front of the player it sits
+const CLOSE_RATE   = 260;    // px of position error per extra 1 × speed
+const TOP_SPEED    = 1.2;    // × game speed — nitro gets past it
+const RECOVER_TOP  = 1.35;
+const DROP_TOP     = 0.9;    // slows while unloading — the window to get past
+const LATERAL      = 240;    // px/s — heavy steering
+const WARN_TIME    = 0.7;
+const SWERVE_STEP  = 0.5;
+const DROP_GAP     = 0.35;   // s between drops
+const DROP_KINDS   = ['oil', 'cone', 'cone', 'barrier'];
+
+export class Boss {
+  // level: 1 for the first encounter of a run, and up
+  constructor(road, rng, y, level = 1) {
+    this.road  = road;
+    this.rng   = rng;
+    this.level = level;
+    this.name  = BOSS_NAMES[(level - 1) % BOSS_NAMES.length];
+    this.color = '#ff3300';
+
+    this.maxHealth = 1 + 0.5 * (level - 1);
+    this.health    = this.maxHealth;
+
+    this.y      = y;
+    this.lane   = 0;    // leftmost lane covered
+    this.targetLane = 0;
+    this.height = 120;
+    this._fit();
+    this.x      = this._targetX();
+
+    this.state       = S.ENTER;
+    this._stateTimer = 0;
+    this._pattern    = [];
+    this._step       = 0;
+    this._drops      = 0;    // left to drop in DROP
+    this._holdY      = y;
+    this._roadSpeed  = 1;
+
+    this.drops = [];         // { kind, x, y } queued for the simulation
+    this.vx    = 0;
+    this.angle = 0;
+    this._minGap = Infinity; // closest side gap while the player is alongside (see trackPass)
+  }
+
+  get defeated() { return this.state === S.DEFEATED; }
+  get warning()  { return this.state === S.WARN; }
+
+  // Lanes covered right now and the body width that spans them
+  _fit() {
+    const lanes  = this.road.centersAt(this.y);
+    this.cover   = lanes.length >= 3 ? 2 : 1;
+    const maxL   = lanes.length - this.cover;
+    this.lane       = Math.max(0, Math.min(maxL, this.lane));
+    this.targetLane = Math.max(0, Math.min(maxL, this.targetLane));
+    this.width   = this.cover === 2 ? lanes[1] - lanes[0] + 44 : 64;
+  }
+
+  _targetX() {
+    const lanes = this.road.centersAt(this.y);
+    return (lanes[this.targetLane] + lanes[this.targetLane + this.cover - 1]) / 2;
+  }
+
+  // Armour loss; true if this blow finished it
+  damage(amount) {
+    if (this.defeated) return false;
+    this.health = Math.max(0, this.health - amount);
+    if (this.health > 0) return false;
+    this._setState(S.DEFEATED, 0);
+    return true;
+  }
+
+  // Heavy enough to shrug off a shove
+  shove() {}
+
+  // Fed the player's hitbox every tick. Once they stop being alongside,
+  // returns the closest side gap of that spell if they came out in front
+  // (a pass); null otherwise.
+  trackPass(x, y, w, h) {
+    if (Math.abs(this.y - y) < (h + this.height) / 2) {
+      this._minGap = Math.min(this._minGap, Math.abs(this.x - x) - (w + this.width) / 2);
+      return null;
+    }
+    const gap    = this._minGap;
+    this._minGap = Infinity;
+    return gap !== Infinity && y < this.y ? gap : null;
+  }
+
+  takeDrops() {
+    const d = this.drops;
+    this.drops = [];
+    return d;
+  }
+
+  // player: { x, y, lane, scroll } as the sim hands to AICar
+  update(dt, gameSpeed, player) {
+    this._stateTimer -= dt;
+    this._roadSpeed   = player.scroll / gameSpeed;
+    this._fit();
+    this._think(player);
+
+    // Pace toward its slot, capped by state
+    let vMult;
+    if (this.defeated) {
+      vMult = 0.55;
+      this.angle = Math.sin(this._stateTimer * 3) * 0.05;
+    } else {
+      const top = this.state === S.RECOVER ? RECOVER_TOP : this.state === S.DROP ? DROP_TOP : TOP_SPEED;
+      vMult = Math.max(0.7, Math.min(top, this._roadSpeed + (this.y - this._holdY) / CLOSE_RATE));
+    }
+    this.y -= gameSpeed * vMult * dt;
+
+    const x0 = this.x;
+    const dx = this._targetX() - this.x;
+    const step = LATERAL * dt;
+    if (Math.abs(dx) <= step) {
+      this.x    = this._targetX();
+      this.lane = this.targetLane;
+    } else {
+      this.x += Math.sign(dx) * step;
+    }
+    this.vx = (this.x - x0) / dt;
+  }
+
+  _think(player) {
+    this._holdY = player.y - HOLD_GAP;
+    const passed = this.y > player.y + 20;
+
+    switch (this.state) {
+      case S.ENTER:
+        if (Math.abs(this.y - this._holdY) < 30) this._setState(S.HOLD, this.rng.range(1.5, 3));
+        break;
+
+      case S.HOLD:
+        // Shuts the door from in front, but once the player is alongside
+        // it holds its line
+        if (player.y - this.y > this.height) this._cover(player.lane);
+        if (passed) { this._setState(S.RECOVER, 0); break; }
+        if (this._stateTimer <= 0) {
+          if (this.rng.next() < 0.55) {
+            this._setState(S.WARN, WARN_TIME);
+          } else {
+            this._drops = 2 + this.rng.int(this.level + 1);
+            this._setState(S.DROP, 0);
+          }
+        }
+        break;
+
+      case S.WARN:
+        if (this._stateTimer <= 0) {
+          this._pattern = this.rng.pick(PATTERNS);
+          this._step    = 0;
+          this._setState(S.SWERVE, 0);
+        }
+        break;
+
+      case S.SWERVE:
+        if (this._stateTimer > 0) break;
+        if (this._step >= this._pattern.length) {
+          this._setState(S.HOLD, this.rng.range(1.5, 3));
+          break;
+        }
+        this._shift(this._pattern[this._step++]);
+        this._stateTimer = SWERVE_STEP;
+        break;
+
+      case S.DROP:
+        if (this._stateTimer > 0) break;
+        if (this._drops <= 0) {
+          this._setState(S.HOLD, this.rng.range(1.2, 2.5));
+          break;
+        }
+        this._drops--;
+        this.drops.push({
+          kind: this.rng.pick(DROP_KINDS),
+          x:    this.x + this.rng.range(-0.35, 0.35) * this.width,
+          y:    this.y + this.height / 2 + 16,
+        });
+        this._stateTimer = DROP_GAP;
+        break;
+
+      case S.RECOVER:
+        // Back in front: swing over and block again
+        this._holdY = player.y - HOLD_GAP * 0.6;
+        if (this.y < player.y - this.height) this._setState(S.HOLD, this.rng.range(0.8, 1.6));
+        break;
+    }
+  }
+
+  _setState(state, timer) {
+    this.state       = state;
+    this._stateTimer = timer;
+  }
+
+  // Straddle the player's lane
+  _cover(lane) {
+    const maxL = this.road.centersAt(this.y).length - this.cover;
+    let want = this.targetLane;
+    if      (lane < want)                   want = lane;
+    else if (lane > want + this.cover - 1)  want = lane - this.cover + 1;
+    this.targetLane = Math.max(0, Math.min(maxL, want));
+  }
+
+  // A pattern step that would leave the road bounces the other way
+  _shift(dir) {
+    const maxL = this.road.centersAt(this.y).length - this.cover;
+    let next = this.targetLane + dir;
+    if (next < 0 || next > maxL) next = this.targetLane - dir;
+    this.targetLane = Math.max(0, Math.min(maxL, next));
+  }
+
+  scroll(amount) {
+    this.y += amount;
+  }
+
+  draw(ctx, t = 0) {
+    const { x, y, width: w, height: h } = this;
+    const hw = w / 2, hh = h / 2;
+    const hazard = this.warning && Math.floor(t * 10) % 2 === 0;
+
+    ctx.save();
+    if (this.angle) {
+      ctx.translate(x, y);
+      ctx.rotate(this.angle);
+      ctx.translate(-x, -y);
+    }
+
+    // Armoured hull
+    ctx.fillStyle   = '#140606';
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth   = 3;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur  = this.defeated ? 4 : 18;
+    ctx.beginPath();
+    ctx.moveTo(x - hw + 14, y - hh);
+    ctx.lineTo(x + hw - 14, y - hh);
+    ctx.lineTo(x + hw,      y - hh + 18);
+    ctx.lineTo(x + hw,      y + hh - 8);
+    ctx.lineTo(x + hw - 8,  y + hh);
+    ctx.lineTo(x - hw + 8,  y + hh);
+    ctx.lineTo(x - hw,      y + hh - 8);
+    ctx.lineTo(x - hw,      y - hh + 18);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Armour plates, dimming as health goes
+    const k = this.health / this.maxHealth;
+    ctx.shadowBlur  = 0;
+    ctx.strokeStyle = `rgba(255, 80, 40, ${0.25 + 0.5 * k})`;
+    ctx.lineWidth   = 1.5;
+    for (let py = y - hh + 26; py < y + hh - 14; py += 18) {
+      ctx.strokeRect(x - hw + 10, py, w - 20, 12);
+    }
+
+    // Cab windows
+    ctx.fillStyle = '#ff330044';
+    ctx.fillRect(x - hw + 12, y - hh + 8, w - 24, 10);
+
+    // Hazard lights along the rear — solid while it swerves, flashing before
+    ctx.fillStyle   = hazard || this.state === S.SWERVE ? '#ffaa00' : '#552200';
+    ctx.shadowColor = '#ffaa00';
+    ctx.shadowBlur  = hazard ? 20 : 6;
+    ctx.fillRect(x - hw + 6, y + hh - 6, 18, 4);
+    ctx.fillRect(x + hw - 24, y + hh - 6, 18, 4);
+
+    // Smoke puffs once beaten
+    if (this.defeated) {
+      ctx.shadowBlur = 0;
+      for (let i = 0; i < 4; i++) {
+        const a  = (t * 1.5 + i / 4) % 1;
+        ctx.fillStyle = `rgba(90, 90, 110, ${0.5 * (1 - a)})`;
+        ctx.beginPath();
+        ctx.arc(x + Math.sin(i * 2.3) * hw * 0.5, y - hh * 0.2 + a * 60, 8 + a * 16, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * cars.js — Player car line-up for the garage
+ * Plain definitions; PlayerCar builds itself from one. Handling entries
+ * override DEFAULT_HANDLING in player.js. Cars unlock by cumulative score
+ * across all runs.
+ */
+
+import { PLAYER_LIVES } from './constants.js';
+
+export const CARS = [
+  {
+    id: 'interceptor', name: 'INTERCEPTOR', unlock: 0,
+    width: 36, height: 64, lives: PLAYER_LIVES, nitroMult: 1.6,
+    trim: '#ddeeff', nitroTrim: '#88ccff',
+    handling: {},
+  },
+  {
+    id: 'vapor', name: 'VAPOR GT', unlock: 600,
+    width: 34, height: 60, lives: 3, nitroMult: 1.75,
+    trim: '#ff44ff', nitroTrim: '#ffaaff',
+    handling: { maxLateral: 380, grip: 12, gripLoss: 0.5 },
+  },
+  {
+    id: 'bulwark', name: 'BULWARK', unlock: 1800,
+    width: 40, height: 68, lives: 4, nitroMult: 1.45,
+    trim: '#44ff99', nitroTrim: '#aaffcc',
+    handling: { maxLateral: 290, accel: 1800, grip: 8, gripLoss: 0.35 },
+  },
+  {
+    id: 'phantom', name: 'PHANTOM', unlock: 5000,
+    width: 32, height: 58, lives: 2, nitroMult: 1.9,
+    trim: '#ffaa00', nitroTrim: '#ffdd66',
+    handling: { maxLateral: 430, accel: 3000, grip: 13, gripLoss: 0.55, nitroGrip: 0.7 },
+  },
+];
+
+export const DEFAULT_CAR = CARS[0].id;
+
+// Unknown ids (old saves, hand-edited replays) fall back to the default car
+export function carById(id) {
+  return CARS.find(c => c.id === id) ?? CARS[0];
+}
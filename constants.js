@@ -0,0 +1,118 @@
+/**
+ * constants.js — World dimensions and tuning shared by simulation and renderer
+ */
+
+export const CANVAS_W = 480;
+export const CANVAS_H = 720;
+// Road edges as drawn behind the menus; a run's lanes come from road.js
+export const ROAD_LEFT  = 30;
+export const ROAD_RIGHT = CANVAS_W - 30;
+export const PLAYER_Y   = CANVAS_H - 120;   // the player car's fixed screen y
+
+export const BASE_SPEED = 200;
+export const MAX_SPEED  = 650;
+export const SPEED_RAMP = 16;   // px/s per second on NORMAL — difficulty.js sets the rest
+
+export const POINTS_PER_SECOND   = 1;
+export const POINTS_PER_OVERTAKE = 10;
+
+// Near misses — passing a car with less than NEAR_MISS_GAP px between
+// hitboxes. Each one extends the combo; the multiplier applies to all score.
+export const NEAR_MISS_GAP    = 16;
+export const NEAR_MISS_POINTS = 5;
+export const COMBO_STEP       = 0.25;  // multiplier gained per combo link
+export const COMBO_MAX_MULT   = 4;
+export const COMBO_WINDOW     = 3.0;   // s after a near miss before the combo starts to decay
+export const COMBO_DECAY      = 0.6;   // s per link lost once decaying
+
+// Nitro burns fuel from a 0–100 tank; it trickles back while not boosting
+// and canisters on the road top it up
+export const NITRO_FUEL_MAX   = 100;
+export const NITRO_BURN       = 28;    // per second boosting (~3.5 s on a full tank)
+export const NITRO_REFILL     = 3;     // per second otherwise
+export const FUEL_CANISTER    = 40;
+export const PICKUP_MAX       = 2;     // on screen at once
+export const PICKUP_INTERVAL  = [5, 9];  // s between spawn attempts
+
+// Power-ups — timed effects in seconds; the shield lasts until it absorbs a hit
+export const POWERUP_DURATION = { ghost: 5, slowmo: 4, magnet: 8 };
+export const SLOWMO_FACTOR    = 0.55;   // gameSpeed multiplier at full slow-mo
+export const MAGNET_RANGE     = 220;    // px — pickups inside this drift to the car
+export const SHIELD_GRACE     = 0.8;    // s of invincibility after the shield pops
+
+// Damage — each zone wears 0–1. Side contact while barely steering into the
+// other car is a glancing bump: wear but no life lost.
+export const DAMAGE_HIT    = 0.5;
+export const DAMAGE_GLANCE = 0.2;
+export const GLANCE_SPEED  = 180;   // px/s of player lateral speed toward the other car
+export const BUMP_GRACE    = 0.5;   // s before the next contact counts
+export const REPAIR_KIT    = 0.5;   // wear removed from every zone
+
+// Collision response — lateral impulses in px/s, spins in rad/s. Steering
+// hard into an AI car is a ram: it spins out, the player only takes a bump.
+export const SHOVE_GLANCE = 140;
+export const SHOVE_HIT    = 260;
+export const SHOVE_RAM    = 420;
+export const PLAYER_KNOCK = 180;
+export const SPIN_HIT     = 4;
+export const SPIN_RAM     = 9;
+export const SPIN_TIME    = 0.8;   // s a shoved traffic car is out of control
+export const AI_SPIN_TIME = 0.9;   // s a rival or unit is out of control after a hard shove
+
+// Static obstacles — spawn roughly every OBSTACLE_INTERVAL s. Roadworks close
+// an outer lane for ROADWORKS_LEN px behind a warning sign.
+export const OBSTACLE_INTERVAL = [3, 7];
+export const OBSTACLE_MAX      = 30;
+export const ROADWORKS_LEN     = [400, 800];
+export const OIL_TIME          = 1.2;    // s of lost grip after an oil slick
+export const OIL_GRIP          = 0.2;    // grip multiplier while oiled
+export const POTHOLE_WEAR      = 0.08;   // front wear from a pothole
+export const POTHOLE_KICK      = 160;    // px/s of random sideways jolt
+export const CONE_WEAR         = 0.04;
+
+// Police pursuit — heat builds over HEAT_BUILD s of nitro with the road
+// doing HEAT_SPEED or more, and cools over HEAT_COOL s otherwise. At full
+// heat the police give chase; the pursuit ends once EVADE_TIME s of evasion
+// build up — at full rate out of sight, EVADE_TAILED with a unit on the
+// player's tail, losing ground while boxed in.
+export const HEAT_SPEED         = 450;   // px/s of road speed
+export const HEAT_BUILD         = 2.5;
+export const HEAT_COOL          = 20;
+export const EVADE_TIME         = 8;
+export const EVADE_TAILED       = 0.4;
+export const POLICE_SIGHT       = 260;   // px ahead / behind a unit keeps track of the player
+export const ROADBLOCK_INTERVAL = [6, 10];
+export const EVADE_POINTS       = 75;
+
+// Boss encounters — the first at BOSS_SCORE points, the next BOSS_SCORE_GAP
+// after the last one is beaten or gone. Clean passes within BOSS_PASS_GAP px
+// of its flank and nitro within BOSS_BOOST_RANGE px wear its armour down.
+export const BOSS_SCORE       = 400;
+export const BOSS_SCORE_GAP   = 900;
+export const BOSS_PASS_GAP    = 50;
+export const BOSS_PASS_DAMAGE = 0.35;
+export const BOSS_BOOST_RANGE = 320;
+export const BOSS_BOOST_DRAIN = 0.3;    // armour per second of nitro
+export const BOSS_BONUS       = 500;    // × boss level
+
+// Crashes between rivals, units and traffic. A rival that crashes with the
+// player alongside, within CRASH_BLOCK_GAP px of its flank, was boxed in —
+// the player takes CRASH_BONUS (× combo multiplier).
+export const CRASH_BLOCK_GAP  = 36;
+export const CRASH_BONUS      = 150;
+
+export const PLAYER_LIVES        = 3;
+export const INVINCIBLE_DURATION = 2.0;
+
+export const AI_COUNT = 4;
+
+export const TRAFFIC_MAX = 8;   // NORMAL cap
+
+// Fixed-step simulation: physics, ramps and AI timers advance in identical
+// ticks on every display; rendering interpolates between the last two ticks.
+export const SIM_HZ = 120;
+export const SIM_DT = 1 / SIM_HZ;
+
+// Bump whenever a change alters simulation outcomes — saved replays from an
+// older version would no longer reproduce and are rejected on load.
+export const SIM_VERSION = 18;
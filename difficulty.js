@@ -0,0 +1,42 @@
+/**
+ * difficulty.js — Difficulty tiers
+ * Plain definitions; the simulation reads the tier a run was started on and
+ * a replay stores its id. High scores are kept per tier by the host.
+ */
+
+import { SPEED_RAMP, TRAFFIC_MAX } from './constants.js';
+
+// aggression: added to every rival's rolled aggression (clamped 0–1).
+// reaction: scales rival reaction times. rubberBand: how hard rivals are
+// held to the player — slowing when too far ahead, catching up from behind.
+// traffic: spawn-rate multiplier, trafficMax the cap on cars at once.
+// speedRamp: px/s of game speed gained per second. police: units called
+// in when a pursuit starts.
+export const DIFFICULTIES = [
+  {
+    id: 'easy', name: 'EASY', color: '#00ff88',
+    aggression: -0.2, reaction: 1.8, rubberBand: 0.5,
+    traffic: 0.65, trafficMax: 5, speedRamp: 10, police: 1,
+  },
+  {
+    id: 'normal', name: 'NORMAL', color: '#00ffff',
+    aggression: 0, reaction: 1, rubberBand: 1,
+    traffic: 1, trafficMax: TRAFFIC_MAX, speedRamp: SPEED_RAMP, police: 2,
+  },
+  {
+    id: 'hard', name: 'HARD', color: '#ffaa00',
+    aggression: 0.08, reaction: 0.7, rubberBand: 1.4,
+    traffic: 1.3, trafficMax: 10, speedRamp: 22, police: 3,
+  },
+  {
+    id: 'insane', name: 'INSANE', color: '#ff2266',
+    aggression: 0.15, reaction: 0.4, rubberBand: 1.8,
+    traffic: 1.7, trafficMax: 12, speedRamp: 30, police: 3,
+  },
+];
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export function difficultyById(id) {
+  return DIFFICULTIES.find(d => d.id === id) ?? DIFFICULTIES[1];
+}
@@ -1,277 +1,111 @@
 /**
  * game.js — Neon Velocity
- * Top-down 2D racing, Canvas 480×720, 3 lanes
+ * Top-down 2D racing, Canvas 480×720, 2–6 lanes
  */
 
 import { SynthwaveAudio } from './audio.js';
-import { AICar }          from './ai.js';
+import { Simulation }     from './sim.js';
+import { PlayerCar, DEFAULT_HANDLING } from './player.js';
+import { RNG }            from './rng.js';
+import {
+  ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay, quantizeInput,
+} from './replay.js';
+import { GhostRecorder, GhostTrack, parseGhost }   from './ghost.js';
+import { TouchControls, GamepadInput, TOUCH_MODE } from './input.js';
+import { PICKUP_TYPES }                            from './pickups.js';
+import { CARS, carById }                           from './cars.js';
+import { ROAD_LAYOUTS, roadById }                  from './road.js';
+import { ARCHETYPES, rivalById, mergeRivalry, rivalryLine } from './rivals.js';
+import { DIFFICULTIES, difficultyById }            from './difficulty.js';
+import {
+  BINDABLE, defaultSettings, mergeSettings, actionsFor, isHeld, bindKey, keyLabel,
+} from './settings.js';
+import {
+  CANVAS_W, CANVAS_H, ROAD_LEFT, ROAD_RIGHT,
+  BASE_SPEED, MAX_SPEED, SIM_DT, COMBO_WINDOW, NITRO_FUEL_MAX, POWERUP_DURATION,
+} from './constants.js';
 
 // ─── Constants ───────────────────────────────────────────────────────────────
 
-const CANVAS_W = 480;
-const CANVAS_H = 720;
-const LANE_CENTERS = [80, 240, 400];
-const LANE_COUNT   = 3;
-const ROAD_LEFT    = 30;
-const ROAD_RIGHT   = CANVAS_W - 30;
-
-const BASE_SPEED = 200;
-const MAX_SPEED  = 650;
-const SPEED_RAMP = 16;   // px/s per second
-
-const POINTS_PER_SECOND   = 1;
-const POINTS_PER_OVERTAKE = 10;
-
-const PLAYER_LIVES        = 3;
-const INVINCIBLE_DURATION = 2.0;
-const AUTO_SAVE_INTERVAL  = 15;
-
-const AI_COUNT = 4;
-
-const TRAFFIC_MAX = 8;
+const AUTO_SAVE_INTERVAL = 15;
 
 const GAME_ID = 'YOUR-GAME-UUID';
 
-// ─── State machine ────────────────────────────────────────────────────────────
-
-const STATE = { LOADING:'LOADING', MENU:'MENU', PLAYING:'PLAYING', PAUSED:'PAUSED', GAME_OVER:'GAME_OVER' };
-
-// ─── Traffic Car types ────────────────────────────────────────────────────────
-// Civilian cars travelling in the same direction as the player but slower.
-// scroll() moves them at 45% of road speed so they drift toward the player
-// from the top of the screen.
-
-const TRAFFIC_TYPES = {
-  SEDAN: { w: 32, h: 50, colors: ['#7799bb', '#99aacc', '#5588aa'], scrollFactor: 0.50 },
-  SUV:   { w: 36, h: 54, colors: ['#aa7744', '#cc9955', '#886633'], scrollFactor: 0.38 },
-  TRUCK: { w: 38, h: 66, colors: ['#778888', '#aabbbb', '#556677'], scrollFactor: 0.28 },
-};
-
-class TrafficCar {
-  constructor(x, y) {
-    const typeKeys = Object.keys(TRAFFIC_TYPES);
-    const typeName = typeKeys[Math.floor(Math.random() * typeKeys.length)];
-    const def = TRAFFIC_TYPES[typeName];
-    this.x = x;
-    this.y = y;
-    this.width  = def.w;
-    this.height = def.h;
-    this._targetX         = x;
-    this._laneChangeTimer = 1.0 + Math.random() * 2.5;
-    this._color        = def.colors[Math.floor(Math.random() * def.colors.length)];
-    this._type         = typeName;
-    this._scrollFactor = def.scrollFactor;
-  }
-
-  update(dt, peers = []) {
-    this._laneChangeTimer -= dt;
-    if (this._laneChangeTimer <= 0) {
-      // Only move to a lane not occupied or targeted by another traffic car nearby
-      const free = LANE_CENTERS.filter(lx =>
-        !peers.some(p =>
-          p !== this &&
-          Math.abs(p.y - this.y) < 90 &&
-          (Math.abs(p.x - lx) < 40 || Math.abs(p._targetX - lx) < 40)
-        )
-      );
-      if (free.length > 0) {
-        this._targetX = free[Math.floor(Math.random() * free.length)];
-      }
-      this._laneChangeTimer = 3.0 + Math.random() * 4.0;  // much less frequent
-    }
-    const dx = this._targetX - this.x;
-    this.x += Math.sign(dx) * Math.min(Math.abs(dx), 160 * dt);
-  }
-
-  // Drifts toward the player at type-specific fraction of road-scroll speed
-  scroll(amount) {
-    this.y += amount * this._scrollFactor;
-  }
-
-  draw(ctx) {
-    const x   = this.x;
-    const y   = this.y;
-    const hw  = this.width  / 2;
-    const hh  = this.height / 2;
-    const col = this._color;
-
-    ctx.save();
-
-    if (this._type === 'SEDAN') {
-      // ── Wheels ──
-      ctx.fillStyle   = '#111118';
-      ctx.strokeStyle = '#333';
-      ctx.lineWidth   = 1;
-      ctx.shadowBlur  = 0;
-      for (const [wx, wy, ww, wh] of [
-        [x - hw - 4, y - hh + 5,  7, 11],
-        [x + hw - 3, y - hh + 5,  7, 11],
-        [x - hw - 4, y + hh - 16, 7, 11],
-        [x + hw - 3, y + hh - 16, 7, 11],
-      ]) {
-        ctx.beginPath(); ctx.roundRect(wx, wy, ww, wh, 2); ctx.fill(); ctx.stroke();
-      }
-      // ── Body ──
-      ctx.fillStyle   = '#0e1622';
-      ctx.strokeStyle = col;
-      ctx.lineWidth   = 1.5;
-      ctx.shadowColor = col;
-      ctx.shadowBlur  = 7;
-      ctx.beginPath(); ctx.roundRect(x - hw, y - hh, this.width, this.height, 6); ctx.fill(); ctx.stroke();
-      // ── Hood ──
-      ctx.shadowBlur = 0;
-      ctx.fillStyle  = '#16273a';
-      ctx.fillRect(x - hw + 3, y - hh + 2, this.width - 6, 12);
-      // ── Windshield ──
-      ctx.fillStyle = col + '55';
-      ctx.fillRect(x - hw + 3, y - hh + 14, this.width - 6, 10);
-      // ── Roof ──
-      ctx.fillStyle = '#1a2e3e';
-      ctx.fillRect(x - hw + 5, y - hh + 24, this.width - 10, 11);
-      // ── Headlights ──
-      ctx.fillStyle   = '#cce0ff';
-      ctx.shadowColor = '#aaaaff';
-      ctx.shadowBlur  = 9;
-      ctx.fillRect(x - hw + 2,  y - hh + 2, 7, 3);
-      ctx.fillRect(x + hw - 9,  y - hh + 2, 7, 3);
-      // ── Tail lights ──
-      ctx.fillStyle   = '#ff2200';
-      ctx.shadowColor = '#ff2200';
-      ctx.shadowBlur  = 7;
-      ctx.fillRect(x - hw + 2,  y + hh - 5, 7, 3);
-      ctx.fillRect(x + hw - 9,  y + hh - 5, 7, 3);
-
-    } else if (this._type === 'SUV') {
-      // ── Wheels (wider) ──
-      ctx.fillStyle   = '#111118';
-      ctx.strokeStyle = '#444';
-      ctx.lineWidth   = 1;
-      ctx.shadowBlur  = 0;
-      for (const [wx, wy, ww, wh] of [
-        [x - hw - 5, y - hh + 5,  8, 12],
-        [x + hw - 3, y - hh + 5,  8, 12],
-        [x - hw - 5, y + hh - 17, 8, 12],
-        [x + hw - 3, y + hh - 17, 8, 12],
-      ]) {
-        ctx.beginPath(); ctx.roundRect(wx, wy, ww, wh, 2); ctx.fill(); ctx.stroke();
-      }
-      // ── Body ──
-      ctx.fillStyle   = '#1a1008';
-      ctx.strokeStyle = col;
-      ctx.lineWidth   = 1.5;
-      ctx.shadowColor = col;
-      ctx.shadowBlur  = 7;
-      ctx.beginPath(); ctx.roundRect(x - hw, y - hh, this.width, this.height, 4); ctx.fill(); ctx.stroke();
-      // ── Hood ──
-      ctx.shadowBlur = 0;
-      ctx.fillStyle  = '#2a1a0a';
-      ctx.fillRect(x - hw + 3, y - hh + 2, this.width - 6, 14);
-      // ── Windshield (more vertical) ──
-      ctx.fillStyle = col + '44';
-      ctx.fillRect(x - hw + 3, y - hh + 16, this.width - 6, 11);
-      // ── Roof ──
-      ctx.fillStyle = '#221508';
-      ctx.fillRect(x - hw + 4, y - hh + 27, this.width - 8, 13);
-      // ── Roof rack ──
-      ctx.strokeStyle = '#554433';
-      ctx.lineWidth   = 1;
-      ctx.beginPath();
-      ctx.moveTo(x - hw + 6, y - hh + 33); ctx.lineTo(x + hw - 6, y - hh + 33);
-      ctx.stroke();
-      // ── Headlights ──
-      ctx.fillStyle   = '#ffffcc';
-      ctx.shadowColor = '#ffff88';
-      ctx.shadowBlur  = 9;
-      ctx.fillRect(x - hw + 2,  y - hh + 2, 8, 4);
-      ctx.fillRect(x + hw - 10, y - hh + 2, 8, 4);
-      // ── Tail lights ──
-      ctx.fillStyle   = '#ff3300';
-      ctx.shadowColor = '#ff3300';
-      ctx.shadowBlur  = 7;
-      ctx.fillRect(x - hw + 2,  y + hh - 6, 8, 4);
-      ctx.fillRect(x + hw - 10, y + hh - 6, 8, 4);
+const MAX_FRAME_TIME   = 0.25;  // s — caps catch-up after a stall
+const TELEPORT_DIST    = 200;   // px moved in one tick = respawn, don't lerp
+const RESUME_COUNTDOWN = 3;     // s — "3, 2, 1" before play picks up again
+const VIEWPORT_MARGIN  = 16;    // CSS px kept clear around the canvas for the glow
+const NEAR_MISS_FLASH  = 0.7;   // s the "NEAR MISS" callout stays up
+const TAKEDOWN_FLASH   = 1.1;   // s the "TAKEDOWN" callout stays up
+const ROAD_SAMPLE      = 24;    // px between road-geometry samples when drawing
+const SHAKE_HIT        = 9;     // px of screen shake on impact
+const SHAKE_DECAY      = 6;     // 1/s
+const BANNER_TIME      = 2.2;   // s each rival / boss announcement stays up
+const SIREN_PERIOD     = 1.1;   // s between siren wails during a pursuit
 
-    } else {
-      // TRUCK ─────────────────────────────────────────────────────────────────
-      const cabH  = Math.round(this.height * 0.40);
-      const bodyH = this.height - cabH;
-      // ── Wheels (large) ──
-      ctx.fillStyle   = '#111118';
-      ctx.strokeStyle = '#444';
-      ctx.lineWidth   = 1;
-      ctx.shadowBlur  = 0;
-      for (const [wx, wy, ww, wh] of [
-        [x - hw - 5, y - hh + 4,   8, 14],
-        [x + hw - 3, y - hh + 4,   8, 14],
-        [x - hw - 5, y + hh - 18,  8, 14],
-        [x + hw - 3, y + hh - 18,  8, 14],
-      ]) {
-        ctx.beginPath(); ctx.roundRect(wx, wy, ww, wh, 2); ctx.fill(); ctx.stroke();
-      }
-      // ── Cargo body (lower) ──
-      ctx.fillStyle   = '#0e1418';
-      ctx.strokeStyle = col + 'aa';
-      ctx.lineWidth   = 1;
-      ctx.shadowBlur  = 0;
-      ctx.fillRect(x - hw, y - hh + cabH, this.width, bodyH);
-      ctx.strokeRect(x - hw, y - hh + cabH, this.width, bodyH);
-      // ── Cab (upper) ──
-      ctx.fillStyle   = '#151e22';
-      ctx.strokeStyle = col;
-      ctx.lineWidth   = 1.5;
-      ctx.shadowColor = col;
-      ctx.shadowBlur  = 7;
-      ctx.beginPath(); ctx.roundRect(x - hw, y - hh, this.width, cabH, 4); ctx.fill(); ctx.stroke();
-      // ── Cab/body divider ──
-      ctx.shadowBlur  = 0;
-      ctx.strokeStyle = col + '88';
-      ctx.lineWidth   = 1.5;
-      ctx.beginPath();
-      ctx.moveTo(x - hw, y - hh + cabH); ctx.lineTo(x + hw, y - hh + cabH);
-      ctx.stroke();
-      // ── Windshield ──
-      ctx.fillStyle = col + '44';
-      ctx.fillRect(x - hw + 3, y - hh + 5, this.width - 6, Math.round(cabH * 0.5));
-      // ── Cargo lines ──
-      ctx.strokeStyle = col + '33';
-      ctx.lineWidth   = 1;
-      ctx.beginPath();
-      ctx.moveTo(x, y - hh + cabH + 4); ctx.lineTo(x, y + hh - 4);
-      ctx.stroke();
-      // ── Headlights ──
-      ctx.fillStyle   = '#eeeeff';
-      ctx.shadowColor = '#aaaaff';
-      ctx.shadowBlur  = 8;
-      ctx.fillRect(x - hw + 2,  y - hh + 2, 8, 4);
-      ctx.fillRect(x + hw - 10, y - hh + 2, 8, 4);
-      // ── Tail lights ──
-      ctx.fillStyle   = '#ff2200';
-      ctx.shadowColor = '#ff2200';
-      ctx.shadowBlur  = 8;
-      ctx.fillRect(x - hw + 2,  y + hh - 6, 8, 4);
-      ctx.fillRect(x + hw - 10, y + hh - 6, 8, 4);
-    }
+// ─── State machine ────────────────────────────────────────────────────────────
 
-    ctx.restore();
-  }
-}
+const STATE = { LOADING:'LOADING', MENU:'MENU', PLAYING:'PLAYING', PAUSED:'PAUSED', RESUMING:'RESUMING', GAME_OVER:'GAME_OVER', REPLAY:'REPLAY', SETTINGS:'SETTINGS', GARAGE:'GARAGE' };
+
+// Ticking states — the simulation advances in both; REPLAY feeds recorded input
+const SIM_STATES = new Set([STATE.PLAYING, STATE.REPLAY]);
+
+const REPLAY_LAST_KEY = 'neonVelocity_replay_last';
+const REPLAY_BEST_KEY = 'neonVelocity_replay_best';
+const GHOST_KEY       = 'neonVelocity_ghost';
+const HIGH_SCORE_KEY  = 'neonVelocity_hs';
+const SETTINGS_KEY    = 'neonVelocity_settings';
+const CAR_KEY         = 'neonVelocity_car';
+const TOTAL_KEY       = 'neonVelocity_total';   // cumulative score, unlocks cars
+const RIVALS_KEY      = 'neonVelocity_rivals';  // per-rival head-to-head stats
+
+// Keys with a fixed meaning regardless of bindings
+const FIXED_KEYS = { Escape: 'back', KeyR: 'replay', KeyE: 'export', Tab: 'settings', KeyG: 'garage' };
+
+// Pad buttons → settings-screen navigation keys
+const PAD_NAV = { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', a: 'Enter', b: 'Escape' };
+
+// Menu hit-boxes that open the settings / garage screens on touch
+const SETTINGS_BOX = { x: 150, y: 556, w: 180, h: 28 };
+const GARAGE_BOX   = { x: 150, y: 592, w: 180, h: 28 };
+const TIER_BOX     = { x: 150, y: 470, w: 180, h: 24 };   // difficulty picker; halves step it
+
+// Settings screen rows, top to bottom
+const SETTINGS_ROWS = [
+  ...BINDABLE.map(b => ({ kind: 'bind', action: b.action, label: b.label })),
+  { kind: 'volume', key: 'master',        label: 'MASTER VOLUME'  },
+  { kind: 'volume', key: 'music',         label: 'MUSIC VOLUME'   },
+  { kind: 'volume', key: 'sfx',           label: 'SFX VOLUME'     },
+  { kind: 'toggle', key: 'scanlines',     label: 'SCANLINES'      },
+  { kind: 'toggle', key: 'screenEffects', label: 'SCREEN EFFECTS' },
+  { kind: 'touchMode',                    label: 'TOUCH STEER'    },
+  { kind: 'road',                         label: 'ROAD LAYOUT'    },
+  { kind: 'toggle', key: 'touchOverlay',  label: 'TOUCH OVERLAY'  },
+  { kind: 'reset',                        label: 'RESET DEFAULTS' },
+  { kind: 'back',                         label: 'BACK'           },
+];
+const SETTINGS_TOP = 150;
+const SETTINGS_ROW = 30;
+
+const PX_PER_METRE = 10;   // matches the km/h readout (1 px/s = 0.36 km/h)
 
 // ─── StarField ────────────────────────────────────────────────────────────────
 
 class StarField {
-  constructor(count) {
+  constructor(count, rng) {
+    this.rng   = rng;
     this.stars = Array.from({ length: count }, () => ({
-      x: Math.random() * CANVAS_W,
-      y: Math.random() * CANVAS_H,
-      size: Math.random() * 1.6 + 0.3,
-      brightness: Math.random(),
+      x: rng.next() * CANVAS_W,
+      y: rng.next() * CANVAS_H,
+      size: rng.range(0.3, 1.9),
+      brightness: rng.next(),
     }));
   }
 
   update(speed, dt) {
     for (const s of this.stars) {
       s.y += speed * 0.04 * dt;
-      if (s.y > CANVAS_H + 2) { s.y = -2; s.x = Math.random() * CANVAS_W; }
+      if (s.y > CANVAS_H + 2) { s.y = -2; s.x = this.rng.next() * CANVAS_W; }
     }
   }
 
@@ -283,205 +117,60 @@ class StarField {
   }
 }
 
-// ─── PlayerCar ────────────────────────────────────────────────────────────────
+// ─── Debris ──────────────────────────────────────────────────────────────────
 
-class PlayerCar {
-  constructor() {
-    this.x      = LANE_CENTERS[1];
-    this.y      = CANVAS_H - 120;
-    this.width  = 36;
-    this.height = 64;
-
-    this.lives           = PLAYER_LIVES;
-    this.invincibleTimer = 0;
-    this.nitroActive     = false;
-    this.brakeActive     = false;
-
-    // Exhaust particles
-    this._particles = [];
-  }
-
-  get isInvincible() { return this.invincibleTimer > 0; }
-
-  // Nearest lane index — used by AI for targeting logic
-  get lane() {
-    return LANE_CENTERS.reduce((best, lx, i) =>
-      Math.abs(lx - this.x) < Math.abs(LANE_CENTERS[best] - this.x) ? i : best, 0);
-  }
-
-  hit() {
-    if (this.isInvincible) return false;
-    this.lives--;
-    this.invincibleTimer = INVINCIBLE_DURATION;
-    return true;
-  }
-
-  update(dt, gameSpeed, keys) {
-    if (this.invincibleTimer > 0) this.invincibleTimer -= dt;
-
-    // Continuous horizontal movement
-    const goLeft  = keys['ArrowLeft']  || keys['KeyA'];
-    const goRight = keys['ArrowRight'] || keys['KeyD'];
-    const goUp    = keys['ArrowUp']    || keys['KeyW'];
-    const goDown  = keys['ArrowDown']  || keys['KeyS'];
-
-    const SPEED = 340; // px/s
-    if (goLeft  && !goRight) this.x -= SPEED * dt;
-    if (goRight && !goLeft)  this.x += SPEED * dt;
-    this.x = Math.max(ROAD_LEFT + 20, Math.min(ROAD_RIGHT - 20, this.x));
-
-    this.nitroActive = !!(goUp  && !goDown);
-    this.brakeActive = !!(goDown && !goUp);
-
-    // Exhaust particles — from bottom edge (rear of car), drifting downward
-    const spawnRate = this.nitroActive ? 0.9 : (this.brakeActive ? 0.1 : 0.6);
-    if (Math.random() < spawnRate) {
-      this._particles.push({
-        x: this.x + (Math.random() - 0.5) * 10,
-        y: this.y + this.height / 2 - 4,   // bottom of car = rear
-        vx: (Math.random() - 0.5) * 20,
-        vy: gameSpeed * 0.06 + Math.random() * 25,  // drift downward (trail behind)
-        life: 1, maxLife: 0.4 + Math.random() * 0.3,
-        size: this.nitroActive ? 3 + Math.random() * 4 : 2 + Math.random() * 3,
-        nitro: this.nitroActive,
+// Body panels and sparks thrown off a crash. Bits ride the road (they lie
+// on it once they settle) and fade out; purely cosmetic.
+class Debris {
+  constructor(rng) {
+    this.rng  = rng;
+    this.bits = [];
+  }
+
+  // colors: the cars involved, for the panels
+  burst(x, y, colors) {
+    const rng = this.rng;
+    for (let i = 0; i < 26; i++) {
+      const spark = i % 3 === 0;
+      const a     = rng.next() * Math.PI * 2;
+      const v     = rng.range(60, spark ? 320 : 200);
+      this.bits.push({
+        x, y,
+        vx: Math.cos(a) * v, vy: Math.sin(a) * v,
+        angle: rng.next() * Math.PI, spin: rng.range(-12, 12),
+        size: spark ? rng.range(1.5, 2.5) : rng.range(3, 7),
+        color: spark ? '#ffcc44' : rng.pick(colors),
+        life: 1, maxLife: spark ? rng.range(0.3, 0.6) : rng.range(0.9, 1.6),
       });
     }
-    for (const p of this._particles) {
-      p.x += p.vx * dt;
-      p.y += p.vy * dt;
-      p.life -= dt;
-    }
-    this._particles = this._particles.filter(p => p.life > 0);
   }
 
-  draw(ctx, t) {
-    // Flash when invincible
-    if (this.isInvincible && Math.floor(t * 8) % 2 === 0) return;
-
-    const cx = Math.round(this.x);
-    const cy = Math.round(this.y);
-    const hw = this.width  / 2;   // 18
-    const hh = this.height / 2;   // 32
-
-    ctx.save();
-
-    // DTP effect — semi-transparent during invincibility on visible frames
-    if (this.isInvincible) ctx.globalAlpha = 0.55;
-
-    // ── Exhaust particles ─────────────────────────────────────────
-    for (const p of this._particles) {
-      const alpha = (p.life / p.maxLife) * 0.6;
-      const ratio = 1 - p.life / p.maxLife;
-      ctx.fillStyle = p.nitro
-        ? `rgba(${Math.floor(100+ratio*155)},${Math.floor(180+ratio*75)},255,${alpha})`
-        : `rgba(0,${Math.floor(180+ratio*75)},${Math.floor(200+ratio*55)},${alpha})`;
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, p.size * (p.life / p.maxLife), 0, Math.PI * 2);
-      ctx.fill();
+  update(scroll, dt) {
+    const damp = Math.exp(-3 * dt);
+    for (const b of this.bits) {
+      b.x     += b.vx * dt;
+      b.y     += b.vy * dt + scroll * dt;
+      b.vx    *= damp;
+      b.vy    *= damp;
+      b.angle += b.spin * dt;
+      b.life  -= dt / b.maxLife;
     }
+    this.bits = this.bits.filter(b => b.life > 0 && b.y < CANVAS_H + 20);
+  }
 
-    const trimCol = this.nitroActive ? '#88ccff' : '#ddeeff';
-    const glow    = (this.nitroActive ? 18 : 12) + 4 * Math.sin(t * 5);
-
-    // ── Underglow ─────────────────────────────────────────────────
-    ctx.shadowColor = trimCol;
-    ctx.shadowBlur  = glow;
-    ctx.strokeStyle = trimCol + '44';
-    ctx.lineWidth   = 10;
-    ctx.beginPath();
-    ctx.ellipse(cx, cy + hh - 4, hw, 6, 0, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.shadowBlur = 0;
-
-    const fr = (lx, ly, lw, lh, col) => {
-      ctx.fillStyle = col; ctx.fillRect(cx + lx, cy + ly, lw, lh);
-    };
-    const fg = (lx, ly, lw, lh, col, blur, gc) => {
-      ctx.shadowColor = gc || col; ctx.shadowBlur = blur;
-      ctx.fillStyle = col; ctx.fillRect(cx + lx, cy + ly, lw, lh);
-      ctx.shadowBlur = 0;
-    };
-
-    // ── WHEELS — aligned to hood/trunk areas ──────────────────────
-    // Front: y=-22 to -8  (beside hood)    Rear: y=+10 to +24 (beside trunk)
-    fr(-hw-4, -hh+10,  6, 14, '#0b0b18');   // FL
-    fr( hw-2, -hh+10,  6, 14, '#0b0b18');   // FR
-    fr(-hw-4,  hh-22,  6, 14, '#0b0b18');   // RL
-    fr( hw-2,  hh-22,  6, 14, '#0b0b18');   // RR
-    fr(-hw-4, -hh+12,  6,  2, '#181828');   // FL tread
-    fr( hw-2, -hh+12,  6,  2, '#181828');   // FR tread
-    fr(-hw-4,  hh-20,  6,  2, '#181828');   // RL tread
-    fr( hw-2,  hh-20,  6,  2, '#181828');   // RR tread
-
-    // ── BODY (front → rear, 64 px total) ──────────────────────────
-    // Layout:  4 nose | 8 headlight bg | 12 hood | 14 windshield |
-    //         12 cabin | 6 rear-window | 8 trunk
-    const B0 = '#06080f';
-    const B1 = '#080c18';
-    const B2 = '#0a1020';
-    const B3 = '#0c1428';
-
-    fr(-12, -hh,      24,  4, B0);           // nose tip (narrow)
-    fr(-16, -hh+4,    32,  8, B1);           // headlight zone bg
-    fr(-16, -hh+12,   32, 12, B1);           // hood outer
-    fr(-12, -hh+12,   24, 12, B2);           // hood inner panel
-    fr(-16, -hh+24,   32, 14, B1);           // windshield outer
-    ctx.fillStyle = 'rgba(28,72,148,0.38)';
-    ctx.fillRect(cx-12, cy-hh+24, 24, 14);   // windshield glass
-    fr(-1,  -hh+24,    2, 14, B0);           // centre pillar
-    fr(-12, -hh+26,    2, 10, '#050810');     // left A-pillar
-    fr( 10, -hh+26,    2, 10, '#050810');     // right A-pillar
-    fr(-16, -hh+38,   32, 12, B3);           // cabin outer
-    fr(-12, -hh+38,   28, 12, B2);           // cabin inner
-    fr(-16, -hh+50,   32,  6, B1);           // rear window outer
-    ctx.fillStyle = 'rgba(18,50,100,0.28)';
-    ctx.fillRect(cx-12, cy-hh+50, 24, 6);    // rear window glass
-    fr(-16, -hh+56,   32,  8, B0);           // trunk
-    fr(-12,  hh-2,    24,  2, B0);           // rear nose tip
-
-    // ── PIXEL DETAILS ─────────────────────────────────────────────
-    fr(-15, -hh+12,  2, 42, '#0e1830');      // left body groove
-    fr( 13, -hh+12,  2, 42, '#0e1830');      // right body groove
-    fr(-1,  -hh+12,  2, 12, '#0a1424');      // hood centre crease
-    fr(-8,  -hh+57, 16,  1, '#0d1828');      // rear vent slat 1
-    fr(-8,  -hh+59, 16,  1, '#0d1828');      // rear vent slat 2
-    fr(-8,  -hh+61, 16,  1, '#0d1828');      // rear vent slat 3
-    fr(-8,   hh- 3,  4,  2, '#1e2f3e');      // left exhaust
-    fr( 4,   hh- 3,  4,  2, '#1e2f3e');      // right exhaust
-
-    // ── NEON TRIM — two split segments per side, gap at cabin ─────
-    // Front segment: alongside hood  (y: -20 → -8)
-    fg(-16, -hh+12,  2, 12, trimCol, glow);  // left
-    fg( 14, -hh+12,  2, 12, trimCol, glow);  // right
-    // Rear segment: alongside rear window+trunk  (y: +14 → +26)
-    fg(-16, -hh+46,  2, 12, trimCol, glow);  // left
-    fg( 14, -hh+46,  2, 12, trimCol, glow);  // right
-
-    // ── HEADLIGHTS (top, white, wide) ─────────────────────────────
-    // Spans outer edge → center; trim connects at bottom
-    fg(-16, -hh+4,   11,  8, '#ffffff', 24, '#ffffff');  // L block
-    fg(  5, -hh+4,   11,  8, '#ffffff', 24, '#ffffff');  // R block
-    fg(-16, -hh+5,   11,  4, '#e0eeff',  8, '#ffffff');  // L core
-    fg(  5, -hh+5,   11,  4, '#e0eeff',  8, '#ffffff');  // R core
-    fr(-4, -hh+4,     8,  8, '#030508');                 // grille gap
-
-    // ── TAIL LIGHTS (bottom, red, narrower) ───────────────────────
-    // Narrower + wider center gap than headlights → reference look
-    fg(-16,  hh-6,    8,  6, '#ff1133', 22, '#ff0022');  // L block
-    fg(  8,  hh-6,    8,  6, '#ff1133', 22, '#ff0022');  // R block
-    fg(-16,  hh-5,    8,  3, '#ff6688',  8, '#ff2244');  // L core
-    fg(  8,  hh-5,    8,  3, '#ff6688',  8, '#ff2244');  // R core
-    fr(-7,   hh-6,   14,  6, '#030508');                 // wide centre gap
-
-    // ── COCKPIT dot ───────────────────────────────────────────────
-    ctx.shadowColor = '#aaddff';
-    ctx.shadowBlur  = 6;
-    ctx.fillStyle   = '#aaddff';
-    ctx.beginPath();
-    ctx.arc(cx, cy - hh + 38, 2, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.restore();
+  // road: bits follow its bends like everything else on it
+  draw(ctx, road) {
+    for (const b of this.bits) {
+      ctx.save();
+      ctx.translate(b.x + road.offsetAt(b.y), b.y);
+      ctx.rotate(b.angle);
+      ctx.globalAlpha = Math.min(1, b.life * 2);
+      ctx.fillStyle   = b.color;
+      ctx.shadowColor = b.color;
+      ctx.shadowBlur  = 6;
+      ctx.fillRect(-b.size / 2, -b.size / 4, b.size, b.size / 2);
+      ctx.restore();
+    }
   }
 }
 
@@ -529,37 +218,60 @@ class SDKWrapper {
 // ─── Game ─────────────────────────────────────────────────────────────────────
 
 export class Game {
-  constructor(canvas) {
+  // options.seed pins every run to one seed (e.g. ?seed= for bug repros);
+  // otherwise each run rolls a fresh one
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
     this.ctx    = canvas.getContext('2d');
     this.state  = STATE.LOADING;
 
+    this._fixedSeed = options.seed ?? null;
+
     this.sdk   = new SDKWrapper();
     this.audio = new SynthwaveAudio();
 
-    this.player      = new PlayerCar();
-    this.aiCars      = [];
-    this.trafficCars = [];
-    this.stars       = new StarField(60);
+    this.sim   = new Simulation(this._fixedSeed ?? RNG.randomSeed());
+    this.stars = new StarField(60, this.sim.fxRng);
+    this.debris = new Debris(this.sim.fxRng);
 
-    this.gameSpeed      = BASE_SPEED;
-    this.score          = 0;
-    this._scoreAccum    = 0;
-    this._sdkPoints     = 0;
     this._autoSaveTimer = 0;
+    this._nearMiss      = null;   // { points, timer } for the HUD callout
+    this._takedown      = null;   // { points, timer } for a crash the player caused
+    this._shake         = 0;      // px, decays each tick
+    this._bannerQueue   = [];     // announcements waiting for the banner
+    this._banner        = null;   // { title, line, color, timer } on screen now
+    this._sirenTimer    = 0;
 
-    this._trafficTimer     = this._nextTrafficDelay();
-    this._totalTime        = 0;
     this._lastTime         = null;
-    this._roadScrollY      = 0;
+    this._accumulator      = 0;
+    this._prevRoadScrollY  = 0;
     this._audioInitPromise = null;
-    this._displaySpeed     = BASE_SPEED;
+    this._autoPaused       = false;   // paused by losing focus rather than by the player
+    this._resumeTimer      = 0;       // s left on the RESUMING countdown
 
     this._keys      = {};
-    this._highScore = parseInt(localStorage.getItem('neonVelocity_hs') || '0');
+    this.settings   = this._loadSettings();
+    this._settingsIndex = 0;
+    this._capturing     = null;   // action awaiting a new key on the settings screen
+    this._totalScore  = parseInt(localStorage.getItem(TOTAL_KEY) || '0');
+    this._rivalry     = this._loadRivalry();
+    this._carId       = carById(localStorage.getItem(CAR_KEY)).id;
+    this._garageIndex = 0;
+    this._garageCar   = null;   // PlayerCar previewed on the garage screen
+    this._newUnlocks  = [];     // cars unlocked by the run that just ended
     this._loadT0    = null;   // set on first loading-screen render
 
+    this._recorder     = null;   // set while a live run is being recorded
+    this._replay       = null;   // ReplayPlayer while in STATE.REPLAY
+    this._replayReturn = STATE.MENU;
+    this._lastReplay   = this._loadReplay(REPLAY_LAST_KEY);
+
+    this._ghostRecorder = null;
+    this._loadBoard();   // high score, best replay and ghost of the chosen tier
+
     this._bindInput();
+    this._applySettings();
+    this._fitCanvas();
   }
 
   async start() {
@@ -570,47 +282,323 @@ export class Game {
     this.state = STATE.MENU;
   }
 
+  // ─── Display ──────────────────────────────────────────────────────────────
+
+  // Scale the 480×720 logical screen to the largest size the viewport fits,
+  // with a backing store at device resolution so it stays sharp on HiDPI.
+  // Everything draws in logical units through the context transform; touch
+  // input maps back through the canvas's on-screen rect (TouchControls).
+  _fitCanvas() {
+    const dpr   = window.devicePixelRatio || 1;
+    const scale = Math.max(0.1, Math.min(
+      (window.innerWidth  - VIEWPORT_MARGIN * 2) / CANVAS_W,
+      (window.innerHeight - VIEWPORT_MARGIN * 2) / CANVAS_H,
+    ));
+    const cssW = Math.floor(CANVAS_W * scale);
+    const cssH = Math.floor(CANVAS_H * scale);
+
+    const container = this.canvas.parentElement;
+    if (container) {
+      container.style.width  = `${cssW}px`;
+      container.style.height = `${cssH}px`;
+    }
+    this.canvas.style.width  = `${cssW}px`;
+    this.canvas.style.height = `${cssH}px`;
+    this.canvas.width  = Math.round(cssW * dpr);
+    this.canvas.height = Math.round(cssH * dpr);
+    this.ctx.setTransform(this.canvas.width / CANVAS_W, 0, 0, this.canvas.height / CANVAS_H, 0, 0);
+
+    // devicePixelRatio changes (browser zoom, moving to another monitor)
+    // don't always fire resize; watch the current ratio and refit on change
+    this._dprQuery?.removeEventListener('change', this._onDprChange);
+    this._onDprChange ??= () => this._fitCanvas();
+    this._dprQuery = window.matchMedia(`(resolution: ${dpr}dppx)`);
+    this._dprQuery.addEventListener('change', this._onDprChange);
+  }
+
   // ─── Input ────────────────────────────────────────────────────────────────
 
   _bindInput() {
     window.addEventListener('keydown', e => {
+      if (e.code === 'Tab') e.preventDefault();
       if (this._keys[e.code]) return;
       this._keys[e.code] = true;
       this._onKey(e.code);
     });
     window.addEventListener('keyup', e => { this._keys[e.code] = false; });
 
-    let _tx = 0;
-    this.canvas.addEventListener('touchstart', e => { _tx = e.touches[0].clientX; }, { passive: true });
-    this.canvas.addEventListener('touchend', e => {
-      const dx = e.changedTouches[0].clientX - _tx;
-      if (Math.abs(dx) <= 30) this._onTap();
-    }, { passive: true });
+    // Hidden tabs throttle rAF while the audio scheduler keeps running, and
+    // keyups that happen elsewhere never arrive — pause instead
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this._onFocusLost();
+      else                 this._onFocusGained();
+    });
+    window.addEventListener('blur',  () => this._onFocusLost());
+    window.addEventListener('focus', () => this._onFocusGained());
+
+    window.addEventListener('resize', () => this._fitCanvas());
+
+    this._pad   = new GamepadInput();
+    this._touch = new TouchControls(this.canvas, {
+      onTap: (x, y, zone) => this._onTap(x, y, zone),
+    });
+
+    // Drop a replay file onto the game to watch it (bug report attachments)
+    this.canvas.addEventListener('dragover', e => e.preventDefault());
+    this.canvas.addEventListener('drop', async e => {
+      e.preventDefault();
+      const file = e.dataTransfer?.files?.[0];
+      if (!file || (this.state !== STATE.MENU && this.state !== STATE.GAME_OVER)) return;
+      try {
+        this._startReplay(parseReplay(await file.text()));
+      } catch (err) {
+        console.warn('[Replay] Could not load:', err.message);
+      }
+    });
+  }
+
+  // Held keys, touches and pad → the action state the simulation consumes
+  _readInput() {
+    const held = action => isHeld(this.settings, this._keys, action);
+    const t = this._touch.state;
+    const p = this._pad.state;
+    return quantizeInput({
+      left:  held('left')  || t.left  || p.left,
+      right: held('right') || t.right || p.right,
+      nitro: held('nitro') || t.nitro || p.nitro,
+      brake: held('brake') || t.brake || p.brake,
+      steer: p.steer,
+    });
+  }
+
+  // Pad buttons drive menus through the same actions as the keyboard
+  _pollGamepad() {
+    for (const b of this._pad.poll()) {
+      this._triggerAudioInit();
+      if (this.state === STATE.SETTINGS) {
+        if (PAD_NAV[b]) this._settingsKey(PAD_NAV[b]);
+        continue;
+      }
+      if (this.state === STATE.GARAGE) {
+        if (PAD_NAV[b]) this._garageKey(PAD_NAV[b]);
+        continue;
+      }
+      if (b === 'start') {
+        const inRun = this.state === STATE.PLAYING || this.state === STATE.PAUSED ||
+                      this.state === STATE.RESUMING;
+        this._onAction(inRun ? 'pause' : 'confirm');
+      }
+      else if (b === 'a')      this._onAction('confirm');
+      else if (b === 'b')      this._onAction('back');
+      else if (b === 'y')      this._onAction('replay');
+      else if (b === 'select') this._onAction('settings');
+      else if (b === 'x')      this._onAction('garage');
+    }
   }
 
   _onKey(code) {
     this._triggerAudioInit();
 
+    if (this.state === STATE.SETTINGS) { this._settingsKey(code); return; }
+    if (this.state === STATE.GARAGE)   { this._garageKey(code);   return; }
+
+    const actions = actionsFor(this.settings, code);
+    if (FIXED_KEYS[code]) actions.push(FIXED_KEYS[code]);
+    for (const action of actions) {
+      if (this._onAction(action)) return;
+    }
+  }
+
+  // Menu / pause level actions; returns true if the current state used it
+  _onAction(action) {
+    switch (this.state) {
+      case STATE.MENU:
+        if (action === 'confirm')  { this._startGame(); return true; }
+        if (action === 'settings') { this._openSettings(); return true; }
+        if (action === 'garage')   { this._openGarage();   return true; }
+        if (action === 'left')     { this._cycleDifficulty(-1); return true; }
+        if (action === 'right')    { this._cycleDifficulty(+1); return true; }
+        if (action === 'replay' && this._bestReplay) { this._startReplay(this._bestReplay); return true; }
+        break;
+      case STATE.GAME_OVER:
+        if (action === 'confirm') { this._returnToMenu(); return true; }
+        if (action === 'replay' && this._lastReplay) { this._startReplay(this._lastReplay); return true; }
+        if (action === 'export' && this._lastReplay) { this._exportReplay(this._lastReplay); return true; }
+        break;
+      case STATE.REPLAY:
+        if (action === 'confirm' || action === 'pause' || action === 'back') { this._endReplay(); return true; }
+        break;
+      case STATE.PLAYING:
+        if (action === 'pause' || action === 'back') { this._togglePause(); return true; }
+        break;
+      case STATE.PAUSED:
+        if (action === 'pause' || action === 'back' || action === 'confirm') { this._togglePause(); return true; }
+        break;
+      case STATE.RESUMING:
+        if (action === 'pause' || action === 'back') { this._togglePause(); return true; }
+        break;
+    }
+    return false;
+  }
+
+  // x / y in logical canvas space; zone from TouchControls
+  _onTap(x, y, zone) {
+    this._triggerAudioInit();
     if (this.state === STATE.MENU) {
-      if (code === 'Space' || code === 'Enter') this._startGame();
+      if      (this._hit(SETTINGS_BOX, x, y)) this._openSettings();
+      else if (this._hit(GARAGE_BOX, x, y))   this._openGarage();
+      else if (this._hit(TIER_BOX, x, y))     this._cycleDifficulty(x < CANVAS_W / 2 ? -1 : +1);
+      else this._startGame();
+    }
+    else if (this.state === STATE.SETTINGS)  this._settingsTap(x, y);
+    else if (this.state === STATE.GARAGE)    this._garageTap(x, y);
+    else if (this.state === STATE.GAME_OVER) this._returnToMenu();
+    else if (this.state === STATE.PAUSED)    this._togglePause();
+    else if (this.state === STATE.REPLAY)    this._endReplay();
+    else if ((this.state === STATE.PLAYING || this.state === STATE.RESUMING) && zone === 'pause') {
+      this._togglePause();
+    }
+  }
+
+  _hit(box, x, y) {
+    return x >= box.x && x <= box.x + box.w && y >= box.y && y <= box.y + box.h;
+  }
+
+  // ─── Settings ─────────────────────────────────────────────────────────────
+
+  _loadSettings() {
+    try {
+      return mergeSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+    } catch {
+      return defaultSettings();
+    }
+  }
+
+  _saveSettings() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    this._applySettings();
+  }
+
+  // Push settings out to the subsystems that read them
+  _applySettings() {
+    const s = this.settings;
+    this.audio.setVolumes(s.volume);
+    this._touch.mode        = s.touchMode === TOUCH_MODE.DRAG ? TOUCH_MODE.DRAG : TOUCH_MODE.HALVES;
+    this._touch.showOverlay = s.touchOverlay;
+    this.canvas.parentElement?.classList.toggle('no-fx', !s.screenEffects);
+  }
+
+  _openSettings() {
+    this._settingsIndex = 0;
+    this._capturing     = null;
+    this.state = STATE.SETTINGS;
+    this.audio.playSFX('select');
+  }
+
+  _settingsKey(code) {
+    if (this._capturing) {
+      if (code !== 'Escape') bindKey(this.settings, this._capturing, code);
+      this._capturing = null;
+      this._saveSettings();
+      this.audio.playSFX('select');
       return;
     }
-    if (this.state === STATE.GAME_OVER) {
-      if (code === 'Space' || code === 'Enter') this._returnToMenu();
+    const n = SETTINGS_ROWS.length;
+    if      (code === 'ArrowUp')    this._settingsIndex = (this._settingsIndex + n - 1) % n;
+    else if (code === 'ArrowDown')  this._settingsIndex = (this._settingsIndex + 1) % n;
+    else if (code === 'ArrowLeft')  this._adjustSetting(SETTINGS_ROWS[this._settingsIndex], -1);
+    else if (code === 'ArrowRight') this._adjustSetting(SETTINGS_ROWS[this._settingsIndex], +1);
+    else if (code === 'Escape')     this.state = STATE.MENU;
+    else if (code === 'Enter' || actionsFor(this.settings, code).includes('confirm')) {
+      this._activateSetting(SETTINGS_ROWS[this._settingsIndex]);
+    }
+  }
+
+  // Tap selects a row and activates it; volume and road rows step down / up by side
+  _settingsTap(x, y) {
+    const i = Math.floor((y - SETTINGS_TOP + SETTINGS_ROW / 2) / SETTINGS_ROW);
+    if (i < 0 || i >= SETTINGS_ROWS.length) return;
+    this._settingsIndex = i;
+    const row = SETTINGS_ROWS[i];
+    if (row.kind === 'volume' || row.kind === 'road') this._adjustSetting(row, x < CANVAS_W / 2 ? -1 : +1);
+    else this._activateSetting(row);
+  }
+
+  _adjustSetting(row, dir) {
+    const s = this.settings;
+    if (row.kind === 'volume') {
+      s.volume[row.key] = Math.round(Math.max(0, Math.min(1, s.volume[row.key] + dir * 0.1)) * 10) / 10;
+    } else if (row.kind === 'road') {
+      const i = ROAD_LAYOUTS.indexOf(roadById(s.road));
+      s.road  = ROAD_LAYOUTS[(i + dir + ROAD_LAYOUTS.length) % ROAD_LAYOUTS.length].id;
+    } else if (row.kind === 'toggle' || row.kind === 'touchMode') {
+      this._activateSetting(row);
+      return;
+    } else {
       return;
     }
-    if (this.state === STATE.PLAYING) {
-      if (code === 'Escape' || code === 'KeyP') this._togglePause();
-    } else if (this.state === STATE.PAUSED) {
-      if (code === 'Escape' || code === 'KeyP' || code === 'Space') this._togglePause();
+    this._saveSettings();
+    this.audio.playSFX('select');
+  }
+
+  _activateSetting(row) {
+    const s = this.settings;
+    switch (row.kind) {
+      case 'bind':      this._capturing = row.action; return;
+      case 'toggle':    s[row.key] = !s[row.key]; break;
+      case 'touchMode': s.touchMode = s.touchMode === TOUCH_MODE.DRAG ? TOUCH_MODE.HALVES : TOUCH_MODE.DRAG; break;
+      case 'road':      this._adjustSetting(row, +1); return;
+      case 'reset':     this.settings = defaultSettings(); this._loadBoard(); break;
+      case 'back':      this.state = STATE.MENU; return;
+      default:          return;
     }
+    this._saveSettings();
+    this.audio.playSFX('select');
   }
 
-  _onTap() {
-    this._triggerAudioInit();
-    if      (this.state === STATE.MENU)      this._startGame();
-    else if (this.state === STATE.GAME_OVER) this._returnToMenu();
-    else if (this.state === STATE.PAUSED)    this._togglePause();
+  // ─── Garage ───────────────────────────────────────────────────────────────
+
+  _openGarage() {
+    this._garageIndex = CARS.findIndex(c => c.id === this._carId);
+    this._garageCar   = new PlayerCar(CARS[this._garageIndex]);
+    this.state = STATE.GARAGE;
+    this.audio.playSFX('select');
+  }
+
+  _isUnlocked(car) {
+    return this._totalScore >= car.unlock;
+  }
+
+  _garageKey(code) {
+    const actions = actionsFor(this.settings, code);
+    if      (code === 'ArrowLeft'  || actions.includes('left'))  this._garageBrowse(-1);
+    else if (code === 'ArrowRight' || actions.includes('right')) this._garageBrowse(+1);
+    else if (code === 'Escape')                                  this.state = STATE.MENU;
+    else if (code === 'Enter' || actions.includes('confirm'))    this._garageChoose();
+  }
+
+  // Outer thirds browse, the middle picks the car on show
+  _garageTap(x, y) {
+    if      (y > CANVAS_H - 70)    this.state = STATE.MENU;
+    else if (x < CANVAS_W / 3)     this._garageBrowse(-1);
+    else if (x > CANVAS_W * 2 / 3) this._garageBrowse(+1);
+    else                           this._garageChoose();
+  }
+
+  _garageBrowse(dir) {
+    const n = CARS.length;
+    this._garageIndex = (this._garageIndex + dir + n) % n;
+    this._garageCar   = new PlayerCar(CARS[this._garageIndex]);
+    this.audio.playSFX('select');
+  }
+
+  _garageChoose() {
+    const car = CARS[this._garageIndex];
+    if (!this._isUnlocked(car)) return;
+    this._carId = car.id;
+    localStorage.setItem(CAR_KEY, car.id);
+    this.audio.playSFX('gamestart');
+    this.state = STATE.MENU;
   }
 
   _triggerAudioInit() {
@@ -624,37 +612,113 @@ export class Game {
   async _startGame() {
     await this.audio.init();
 
-    this.player      = new PlayerCar();
-    this.aiCars      = this._spawnAI();
-    this.trafficCars = [];
-    this.gameSpeed   = BASE_SPEED;
-    this.score       = 0;
-    this._scoreAccum    = 0;
-    this._sdkPoints     = 0;
+    this.sim.reset(this._fixedSeed ?? RNG.randomSeed(), this._carId, this.settings.road, this.settings.difficulty);
+    console.log(`[Game] Seed ${this.sim.seed}, road ${this.sim.roadId}, ${this.sim.difficultyId}`);
+
+    this.stars          = new StarField(60, this.sim.fxRng);
+    this.debris         = new Debris(this.sim.fxRng);
     this._autoSaveTimer = 0;
-    this._trafficTimer  = this._nextTrafficDelay();
-    this._totalTime     = 0;
-    this._roadScrollY   = 0;
+    this._nearMiss      = null;
+    this._takedown      = null;
+    this._shake         = 0;
+    this._bannerQueue   = [];
+    this._banner        = null;
+    this._sirenTimer    = 0;
+    this._accumulator   = 0;
+    this._prevRoadScrollY = 0;
+    this._newUnlocks    = [];
+    this._recorder      = new ReplayRecorder(this.sim.seed, this.sim.carId, this.sim.roadId, this.sim.difficultyId);
+    this._ghostRecorder = new GhostRecorder(this.sim.carId, this.sim.roadId);
+    this._ghostRecorder.sample(this.sim);
 
     this.state = STATE.PLAYING;
     this.audio.start();
     this.audio.playSFX('gamestart');
   }
 
+  // PLAYING → PAUSED → RESUMING (countdown) → PLAYING; pausing again
+  // during the countdown cancels it
   _togglePause() {
-    if      (this.state === STATE.PLAYING) { this.state = STATE.PAUSED;  this.audio.stop(); }
-    else if (this.state === STATE.PAUSED)  { this.state = STATE.PLAYING; this.audio.resume(); }
+    if (this.state === STATE.PLAYING || this.state === STATE.RESUMING) {
+      this.state = STATE.PAUSED;
+      this.audio.pause();
+    } else if (this.state === STATE.PAUSED) {
+      this.state        = STATE.RESUMING;
+      this._autoPaused  = false;
+      this._resumeTimer = RESUME_COUNTDOWN;
+      this.audio.resume();
+      this.audio.playSFX('select');
+    }
+  }
+
+  _tickCountdown(dt) {
+    const before = Math.ceil(this._resumeTimer);
+    this._resumeTimer -= dt;
+    if (this._resumeTimer <= 0) {
+      this.state = STATE.PLAYING;
+      this.audio.playSFX('gamestart');
+    } else if (Math.ceil(this._resumeTimer) !== before) {
+      this.audio.playSFX('select');
+    }
+  }
+
+  // Tab hidden / window blurred: drop everything held and freeze the run.
+  // Stays paused on return — the player resumes when they're ready.
+  _onFocusLost() {
+    this._keys = {};
+    this._touch.reset();
+    if (this.state === STATE.PLAYING || this.state === STATE.RESUMING) {
+      this.state       = STATE.PAUSED;
+      this._autoPaused = true;
+      this.audio.pause();
+      console.log('[Game] Auto-paused');
+    } else if (this.state === STATE.REPLAY) {
+      this.audio.pause();
+    }
+  }
+
+  _onFocusGained() {
+    // Don't count the time away as one long frame
+    this._lastTime = null;
+    if (this.state === STATE.REPLAY) this.audio.resume();
   }
 
   _gameOver() {
     this.state = STATE.GAME_OVER;
     this.audio.stop();
     this.audio.playSFX('collision');
-    const final = Math.floor(this.score);
+    const final = Math.floor(this.sim.score);
+
+    this._lastReplay = this._recorder.finish(this.sim.tick, final);
+    this._recorder   = null;
+    this._saveReplay(REPLAY_LAST_KEY, this._lastReplay);
+
+    const ghost = this._ghostRecorder.finish();
+    this._ghostRecorder = null;
+
     if (final > this._highScore) {
+      const tier = this.sim.difficultyId;
       this._highScore = final;
-      localStorage.setItem('neonVelocity_hs', String(final));
+      localStorage.setItem(this._tierKey(HIGH_SCORE_KEY, tier), String(final));
+      this._bestReplay = this._lastReplay;
+      this._saveReplay(this._tierKey(REPLAY_BEST_KEY, tier), this._bestReplay);
+      // The ghost is the best run too; one too short to play is dropped
+      // rather than leaving an older run's ghost beside the new best
+      if (ghost.d.length >= 2) {
+        this._ghost    = new GhostTrack(ghost);
+        this._ghostCar = new PlayerCar(carById(ghost.car));
+        localStorage.setItem(this._tierKey(GHOST_KEY, tier), JSON.stringify(ghost));
+      } else {
+        this._ghost = null;
+        localStorage.removeItem(this._tierKey(GHOST_KEY, tier));
+      }
     }
+    const before = this._totalScore;
+    this._totalScore += final;
+    localStorage.setItem(TOTAL_KEY, String(this._totalScore));
+    this._newUnlocks = CARS.filter(c => c.unlock > before && c.unlock <= this._totalScore);
+    for (const c of this._newUnlocks) console.log(`[Game] Unlocked ${c.name}`);
+
     this.sdk.savePoints();
     console.log(`[SDK] Game over — score: ${final}`);
   }
@@ -664,76 +728,200 @@ export class Game {
     this.state = STATE.MENU;
   }
 
-  _spawnAI() {
-    return Array.from({ length: AI_COUNT }, (_, i) => {
-      const lane = Math.floor(Math.random() * 3);
-      return new AICar(lane, -120 - i * 210, LANE_CENTERS);
-    });
+  // Re-simulate a recorded run through the normal _update path
+  async _startReplay(replay) {
+    await this.audio.init();
+
+    this._replayReturn = this.state;
+    this._replay       = new ReplayPlayer(replay);
+    this.sim.reset(replay.seed, replay.car, replay.road, replay.difficulty);
+    this.stars         = new StarField(60, this.sim.fxRng);
+    this.debris        = new Debris(this.sim.fxRng);
+    this._nearMiss     = null;
+    this._takedown     = null;
+    this._shake        = 0;
+    this._bannerQueue  = [];
+    this._banner       = null;
+    this._sirenTimer   = 0;
+    this._accumulator  = 0;
+    this._prevRoadScrollY = 0;
+
+    this.state = STATE.REPLAY;
+    this.audio.start();
+    console.log(`[Replay] Seed ${replay.seed}, ${replay.ticks} ticks, score ${replay.score}`);
   }
 
-  // Traffic spawn interval shrinks as speed increases
-  _nextTrafficDelay() {
-    const t   = Math.min((this.gameSpeed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED), 1);
-    const min = 2.2 - t * 1.2;  // 2.2s → 1.0s
-    const max = 4.0 - t * 2.0;  // 4.0s → 2.0s
-    return min + Math.random() * (max - min);
+  _endReplay() {
+    this._replay = null;
+    this.audio.stop();
+    this.state = this._replayReturn;
   }
 
-  _safeLaneX(ySpawn) {
-    const MIN_Y_GAP = 90;
-    const lanes = [...LANE_CENTERS].sort(() => Math.random() - 0.5);
-    for (const lx of lanes) {
-      const blocked = this.trafficCars.some(
-        tc => Math.abs(tc.x - lx) < 40 && Math.abs(tc.y - ySpawn) < MIN_Y_GAP
-      );
-      if (!blocked) return lx;
+  // ─── Replay storage ───────────────────────────────────────────────────────
+
+  _loadReplay(key) {
+    const text = localStorage.getItem(key);
+    if (!text) return null;
+    try {
+      return parseReplay(text);
+    } catch (e) {
+      console.warn(`[Replay] Discarding ${key}:`, e.message);
+      localStorage.removeItem(key);
+      return null;
+    }
+  }
+
+  _saveReplay(key, replay) {
+    try { localStorage.setItem(key, serializeReplay(replay)); }
+    catch (e) { console.warn('[Replay] Save failed:', e.message); }
+  }
+
+  _loadGhost(key) {
+    const text = localStorage.getItem(key);
+    if (!text) return null;
+    try {
+      return parseGhost(text);
+    } catch (e) {
+      console.warn('[Ghost] Discarding saved ghost:', e.message);
+      localStorage.removeItem(key);
+      return null;
     }
-    return null;
   }
 
-  _spawnTraffic() {
-    if (this.trafficCars.length >= TRAFFIC_MAX) return;
-    const speedT = Math.min((this.gameSpeed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED), 1);
-    const count  = (speedT > 0.75 && this.trafficCars.length < TRAFFIC_MAX - 1) ? 2 : 1;
-    for (let i = 0; i < count; i++) {
-      if (this.trafficCars.length >= TRAFFIC_MAX) break;
-      const ySpawn = -80 - i * 100;
-      const lx = this._safeLaneX(ySpawn);
-      if (lx === null) break;
-      this.trafficCars.push(new TrafficCar(lx, ySpawn));
+  // Each difficulty keeps its own board. NORMAL uses the bare keys, so saves
+  // from before tiers existed carry over as NORMAL results.
+  _tierKey(key, tier) {
+    return tier === 'normal' ? key : `${key}_${tier}`;
+  }
+
+  _loadBoard() {
+    const tier = difficultyById(this.settings.difficulty).id;
+    this._highScore  = parseInt(localStorage.getItem(this._tierKey(HIGH_SCORE_KEY, tier)) || '0');
+    this._bestReplay = this._loadReplay(this._tierKey(REPLAY_BEST_KEY, tier));
+    this._ghost      = this._loadGhost(this._tierKey(GHOST_KEY, tier));   // GhostTrack of the best run
+    this._ghostCar   = new PlayerCar(carById(this._ghost?.data.car));     // body drawn at ghost positions
+  }
+
+  _cycleDifficulty(dir) {
+    const i = DIFFICULTIES.indexOf(difficultyById(this.settings.difficulty));
+    this.settings.difficulty = DIFFICULTIES[(i + dir + DIFFICULTIES.length) % DIFFICULTIES.length].id;
+    this._saveSettings();
+    this._loadBoard();
+    this.audio.playSFX('select');
+  }
+
+  _exportReplay(replay) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const a    = document.createElement('a');
+    a.href     = URL.createObjectURL(blob);
+    a.download = `neon-velocity-${replay.seed}-${replay.score}.replay.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  // ─── Rivalry ──────────────────────────────────────────────────────────────
+
+  _loadRivalry() {
+    try {
+      return mergeRivalry(JSON.parse(localStorage.getItem(RIVALS_KEY)));
+    } catch (e) {
+      console.warn('[Game] Discarding saved rivalry stats:', e.message);
+      return mergeRivalry(null);
     }
   }
 
+  // Live runs only — a replay re-watching old overtakes mustn't count them again
+  _countRivalry(id, stat) {
+    if (!id || this.state === STATE.REPLAY) return;
+    const stats = this._rivalry[id];
+    if (!stats) return;
+    stats[stat]++;
+    localStorage.setItem(RIVALS_KEY, JSON.stringify(this._rivalry));
+    const verb = { overtaken: 'Overtook', rammed: 'Rammed', wrecked: 'Wrecked by' }[stat];
+    console.log(`[Game] ${verb} ${rivalById(id).name} (${stats[stat]})`);
+  }
+
   // ─── Loop ─────────────────────────────────────────────────────────────────
 
   _loop(ts) {
     if (this._lastTime === null) this._lastTime = ts;
-    const dt = Math.min((ts - this._lastTime) / 1000, 0.05);
+    const frameTime = Math.min((ts - this._lastTime) / 1000, MAX_FRAME_TIME);
     this._lastTime = ts;
 
-    if (this.state === STATE.PLAYING) this._update(dt);
-    this._render(ts / 1000);
+    this._pollGamepad();
+    if (this.state === STATE.RESUMING) this._tickCountdown(frameTime);
+    if (SIM_STATES.has(this.state)) {
+      const ticking = this.state;
+      this._accumulator += frameTime;
+      while (this._accumulator >= SIM_DT) {
+        this._snapshot();
+        this._update(SIM_DT);
+        this._accumulator -= SIM_DT;
+        if (this.state !== ticking) { this._accumulator = 0; break; }
+      }
+    }
+    this._render(ts / 1000, this._accumulator / SIM_DT);
     requestAnimationFrame(t => this._loop(t));
   }
 
+  // Remember pre-tick positions so _render can blend toward the new ones
+  _snapshot() {
+    const sim = this.sim;
+    for (const e of [sim.player, ...sim.trafficCars, ...sim.aiCars, ...sim.police, ...(sim.boss ? [sim.boss] : []), ...sim.pickups, ...sim.obstacles]) {
+      e._prevX = e.x;
+      e._prevY = e.y;
+    }
+    this._prevRoadScrollY = sim.roadScrollY;
+  }
+
   // ─── Update ───────────────────────────────────────────────────────────────
 
+  // One simulation tick plus the host-side reactions to it. Live runs read
+  // the keyboard and record; replays feed the recorded input instead.
   _update(dt) {
-    this._totalTime += dt;
-
-    this.gameSpeed = Math.min(BASE_SPEED + this._totalTime * SPEED_RAMP, MAX_SPEED);
-    this.audio.setSpeed(this.gameSpeed);
+    const sim       = this.sim;
+    const replaying = this.state === STATE.REPLAY;
+    if (replaying && this._replay.done(sim.tick)) { this._endReplay(); return; }
+
+    const input = replaying ? this._replay.inputAt(sim.tick) : this._readInput();
+    this._recorder?.record(sim.tick, input);
+    sim.step(input);
+    this._ghostRecorder?.sample(sim);
+
+    this.audio.setSpeed(sim.gameSpeed);
+    this.stars.update(sim.scrollSpeed, dt);
+    this.debris.update(sim.scrollSpeed, dt);
+    if (this._nearMiss) {
+      this._nearMiss.timer -= dt;
+      if (this._nearMiss.timer <= 0) this._nearMiss = null;
+    }
+    if (this._takedown) {
+      this._takedown.timer -= dt;
+      if (this._takedown.timer <= 0) this._takedown = null;
+    }
+    if (this._shake > 0) this._shake = this._shake < 0.3 ? 0 : this._shake * Math.exp(-SHAKE_DECAY * dt);
+    if (this._banner) {
+      this._banner.timer -= dt;
+      if (this._banner.timer <= 0) this._banner = null;
+    }
+    if (!this._banner && this._bannerQueue.length) {
+      this._banner = { ...this._bannerQueue.shift(), timer: BANNER_TIME };
+    }
+    // Siren wails on a loop for as long as units are on the road
+    this._sirenTimer -= dt;
+    if (sim.pursuit && this._sirenTimer <= 0) {
+      this._sirenTimer = SIREN_PERIOD;
+      this.audio.playSFX('siren');
+    }
 
-    // Score — nitro gives x1.5 multiplier
-    const scoreMult = this.player.nitroActive ? 1.5 : 1.0;
-    this._scoreAccum += POINTS_PER_SECOND * dt * scoreMult;
-    if (this._scoreAccum >= 1) {
-      const pts = Math.floor(this._scoreAccum);
-      this._scoreAccum -= pts;
-      this.score       += pts;
-      this._sdkPoints  += pts;
+    // Replays never award points or touch saves
+    if (replaying) {
+      sim.pendingPoints = 0;
+      for (const ev of sim.takeEvents()) this._onSimEvent(ev);
+      return;
     }
-    if (this._sdkPoints > 0) { this.sdk.addPoints(this._sdkPoints); this._sdkPoints = 0; }
+
+    if (sim.pendingPoints > 0) { this.sdk.addPoints(sim.pendingPoints); sim.pendingPoints = 0; }
 
     this._autoSaveTimer += dt;
     if (this._autoSaveTimer >= AUTO_SAVE_INTERVAL) {
@@ -742,107 +930,224 @@ export class Game {
       console.log('[SDK] Auto-save');
     }
 
-    // Brake slows scroll 30%; nitro boosts scroll 35%
-    let scrollSpeed = this.gameSpeed;
-    if      (this.player.brakeActive) scrollSpeed *= 0.45;
-    else if (this.player.nitroActive) scrollSpeed *= 1.60;
-    this._displaySpeed = scrollSpeed;
-    const scroll      = scrollSpeed * dt;
-    this._roadScrollY = (this._roadScrollY + scroll) % 80;
-
-    this.stars.update(scrollSpeed, dt);
-    this.player.update(dt, this.gameSpeed, this._keys);
-
-    // Traffic cars
-    this._trafficTimer -= dt;
-    if (this._trafficTimer <= 0) {
-      this._trafficTimer = this._nextTrafficDelay();
-      this._spawnTraffic();
-    }
-    for (const tc of this.trafficCars) {
-      tc.update(dt, this.trafficCars);
-      tc.scroll(scroll);
-    }
-    this.trafficCars = this.trafficCars.filter(tc => tc.y < CANVAS_H + 100);
-
-    // AI cars — pass trafficCars so they can dodge slower traffic
-    const pInfo = { x: this.player.x, y: this.player.y, lane: this.player.lane };
-    for (const ai of this.aiCars) {
-      ai.update(dt, this.gameSpeed, pInfo, this.trafficCars, this.aiCars);
-      ai.scroll(scroll);
-    }
-
-    this._checkOvertakes();
-    this._checkCollisions();
+    for (const ev of sim.takeEvents()) this._onSimEvent(ev);
   }
 
-  _checkOvertakes() {
-    for (const ai of this.aiCars) {
-      if (!ai._playerBehind && ai.y > this.player.y + 40) {
-        ai._playerBehind = true;
-      }
-      if (ai._playerBehind && ai.y < this.player.y - 40) {
-        ai._playerBehind = false;
-        this.score       += POINTS_PER_OVERTAKE;
-        this._sdkPoints  += POINTS_PER_OVERTAKE;
+  _onSimEvent(ev) {
+    switch (ev.type) {
+      case 'overtake':
         this.audio.playSFX('overtake');
-        console.log(`[Game] Overtake +${POINTS_PER_OVERTAKE}`);
-      }
-    }
-  }
-
-  _checkCollisions() {
-    if (this.player.isInvincible) return;
-    const px = this.player.x, py = this.player.y;
-    const pw = this.player.width  * 0.88;
-    const ph = this.player.height * 0.82;
-
-    for (const tc of this.trafficCars) {
-      if (this._overlap(px, py, pw, ph, tc.x, tc.y, tc.width * 0.88, tc.height * 0.85)) {
-        this._onHit(); return;
-      }
-    }
-    for (const ai of this.aiCars) {
-      if (this._overlap(px, py, pw, ph, ai.x, ai.y, ai.width * 0.82, ai.height * 0.80)) {
-        this._onHit(); return;
+        console.log(`[Game] Overtake +${ev.points}`);
+        this._countRivalry(ev.rival, 'overtaken');
+        break;
+      case 'nearmiss':
+        this.audio.playSFX('nearmiss');
+        this._nearMiss = { points: ev.points, timer: NEAR_MISS_FLASH };
+        break;
+      case 'nitroempty':
+        this.audio.playSFX('nitroempty');
+        break;
+      case 'pickup':
+        this.audio.playSFX(ev.kind === 'fuel' ? 'pickup' : ev.kind);
+        break;
+      case 'shieldbreak':
+        this.audio.playSFX('shieldbreak');
+        break;
+      case 'powerupend':
+        this.audio.playSFX('powerdown');
+        break;
+      case 'combolost':
+        console.log(`[Game] Combo of ${ev.combo} lost`);
+        break;
+      case 'hit':
+        this.audio.playSFX('collision');
+        this._shake = SHAKE_HIT;
+        if (ev.rival) this._countRivalry(ev.rival, 'wrecked');
+        break;
+      case 'bump':
+        this.audio.playSFX('bump');
+        this._shake = Math.max(this._shake, SHAKE_HIT * 0.4);
+        break;
+      case 'cone':
+        this.audio.playSFX('bump');
+        break;
+      case 'oil':
+        this.audio.playSFX('oil');
+        break;
+      case 'pothole':
+        this.audio.playSFX('pothole');
+        this._shake = Math.max(this._shake, SHAKE_HIT * 0.5);
+        break;
+      case 'ram':
+        this.audio.playSFX('ram');
+        this._shake = Math.max(this._shake, SHAKE_HIT * 0.7);
+        this._countRivalry(ev.rival, 'rammed');
+        break;
+      case 'rival': {
+        const rival = rivalById(ev.rival);
+        this._bannerQueue.push({
+          title: `${rival.name} · ${ARCHETYPES[rival.archetype].label}`,
+          line:  rivalryLine(this._rivalry[rival.id]),
+          color: rival.color,
+        });
+        break;
       }
+      case 'pursuit':
+        this._sirenTimer = 0;
+        this._shake = Math.max(this._shake, SHAKE_HIT * 0.3);
+        console.log(`[Game] Pursuit — ${ev.units} unit(s)`);
+        break;
+      case 'roadblock':
+        console.log('[Game] Roadblock ahead');
+        break;
+      case 'evaded':
+        this.audio.playSFX('overtake');
+        console.log(`[Game] Evaded the police +${ev.points}`);
+        break;
+      case 'boss':
+        this._bannerQueue.push({
+          title: `${ev.name} · BOSS`,
+          line:  'PASS CLOSE OR BOOST TO BREAK ITS ARMOUR',
+          color: '#ff3300',
+        });
+        this.audio.setSection('boss');
+        console.log(`[Game] Boss ${ev.name} (level ${ev.level})`);
+        break;
+      case 'bosshit':
+        this.audio.playSFX('bosshit');
+        this._shake = Math.max(this._shake, SHAKE_HIT * 0.4);
+        break;
+      case 'bossdown':
+        this.audio.playSFX('bossdown');
+        this.audio.setSection('triumph');
+        this._shake = Math.max(this._shake, SHAKE_HIT * 1.2);
+        console.log(`[Game] ${ev.name} down +${ev.points}`);
+        break;
+      case 'crash':
+        this.debris.burst(ev.x, ev.y, ev.colors);
+        this.audio.playSFX('crash');
+        this._shake = Math.max(this._shake, SHAKE_HIT * 0.25);
+        if (ev.points) {
+          this._takedown = { points: ev.points, timer: TAKEDOWN_FLASH };
+          console.log(`[Game] Takedown${ev.rival ? ` — ${rivalById(ev.rival).name}` : ''} +${ev.points}`);
+        }
+        break;
+      case 'gameover':
+        if (this.state === STATE.REPLAY) this._endReplay();
+        else this._gameOver();
+        break;
     }
   }
 
-  _overlap(ax, ay, aw, ah, bx, by, bw, bh) {
-    return Math.abs(ax - bx) < (aw + bw) / 2 && Math.abs(ay - by) < (ah + bh) / 2;
-  }
-
-  _onHit() {
-    const died = this.player.hit();
-    if (!died) return;
-    this.audio.playSFX('collision');
-    if (this.player.lives <= 0) this._gameOver();
-  }
-
   // ─── Render ───────────────────────────────────────────────────────────────
 
-  _render(t) {
+  // alpha: fraction of a tick elapsed since the last _update (0..1)
+  _render(t, alpha = 1) {
     const ctx = this.ctx;
     ctx.clearRect(0, 0, CANVAS_W, CANVAS_H);
     this._drawBg(ctx);
 
     if (this.state === STATE.LOADING)   { this._drawLoading(ctx, t);  this._drawScanlines(ctx); return; }
     if (this.state === STATE.MENU)      { this._drawMenu(ctx, t);     this._drawScanlines(ctx); return; }
+    if (this.state === STATE.SETTINGS)  { this._drawSettings(ctx, t); this._drawScanlines(ctx); return; }
+    if (this.state === STATE.GARAGE)    { this._drawGarage(ctx, t);   this._drawScanlines(ctx); return; }
     if (this.state === STATE.GAME_OVER) { this._drawGameOver(ctx, t); this._drawScanlines(ctx); return; }
 
-    this.stars.draw(ctx);
-    this._drawRoad(ctx);
+    // Impact shake moves the world, never the HUD; off with screen effects
+    const shake = this.settings.screenEffects && SIM_STATES.has(this.state) ? this._shake : 0;
+    ctx.save();
+    if (shake > 0) ctx.translate(this.sim.fxRng.range(-shake, shake), this.sim.fxRng.range(-shake, shake));
 
-    for (const tc of this.trafficCars) tc.draw(ctx);
-    for (const ai of this.aiCars)      ai.draw(ctx);
-    this.player.draw(ctx, t);
+    this.stars.draw(ctx);
+    this._drawRoad(ctx, alpha);
+
+    const sim = this.sim;
+    for (const ob of sim.obstacles)   this._drawLerped(ctx, ob, alpha, t);
+    for (const pk of sim.pickups)     this._drawLerped(ctx, pk, alpha, t);
+    for (const tc of sim.trafficCars) this._drawLerped(ctx, tc, alpha, t);
+    for (const ai of sim.aiCars)      this._drawLerped(ctx, ai, alpha, t);
+    for (const cop of sim.police)     this._drawLerped(ctx, cop, alpha, t);
+    if (sim.boss)                     this._drawLerped(ctx, sim.boss, alpha, t);
+    this.debris.draw(ctx, sim.road);
+    if (this._showGhost) this._drawGhost(ctx, t, alpha);
+    this._drawLerped(ctx, sim.player, alpha, t);
+    ctx.restore();
 
     this._drawHUD(ctx, t);
-    if (this.state === STATE.PAUSED) this._drawPause(ctx);
+    if (this.state === STATE.PLAYING && this._touch.active && this._touch.showOverlay) {
+      this._touch.draw(ctx);
+    }
+    if (this.state === STATE.PAUSED)   this._drawPause(ctx);
+    if (this.state === STATE.RESUMING) this._drawCountdown(ctx);
+    if (this.state === STATE.REPLAY) this._drawReplayBadge(ctx, t);
     this._drawScanlines(ctx);
   }
 
+  // Draws an entity at its position blended between the last two ticks.
+  // Entities spawned or respawned this tick are drawn where they are.
+  _drawLerped(ctx, e, alpha, t) {
+    let ox = 0, oy = 0;
+    if (e._prevX !== undefined) {
+      ox = (e._prevX - e.x) * (1 - alpha);
+      oy = (e._prevY - e.y) * (1 - alpha);
+      if (Math.abs(e._prevY - e.y) > TELEPORT_DIST) ox = oy = 0;
+    }
+    ctx.save();
+    this._onRoad(ctx, e.x + ox, e.y + oy);
+    ctx.translate(ox, oy);
+    e.draw(ctx, t);
+    ctx.restore();
+  }
+
+  // Moves the world-space point (x, y) onto the rendered bend and turns it
+  // with the road, so anything drawn around it sits square in its lane
+  _onRoad(ctx, x, y) {
+    const road = this.sim.road;
+    const a    = road.headingAt(y);
+    ctx.translate(road.offsetAt(y), 0);
+    if (a === 0) return;
+    ctx.translate(x, y);
+    ctx.rotate(a);
+    ctx.translate(-x, -y);
+  }
+
+  // The board is per tier, so the best run may be on another layout
+  get _showGhost() {
+    return this._ghost !== null && this.state !== STATE.REPLAY
+      && roadById(this._ghost.data.road).id === this.sim.roadId;
+  }
+
+  // Translucent best-run car, placed by distance covered relative to the
+  // live car; an edge marker when it's off screen
+  _drawGhost(ctx, t, alpha) {
+    const sim      = this.sim;
+    const g        = this._ghost.at(Math.max(0, sim.tick - 1 + alpha));
+    const liveDist = sim.distance - sim.scrollSpeed * SIM_DT * (1 - alpha);
+    const y        = sim.player.y - (g.distance - liveDist);
+
+    ctx.save();
+    if (y < -40 || y > CANVAS_H + 40) {
+      const above = y < 0;
+      const ey    = above ? 72 : CANVAS_H - 12;
+      ctx.fillStyle   = '#88ffff66';
+      ctx.shadowColor = '#88ffff';
+      ctx.shadowBlur  = 8;
+      ctx.beginPath();
+      ctx.moveTo(g.x,     ey + (above ? -8 : 8));
+      ctx.lineTo(g.x - 7, ey);
+      ctx.lineTo(g.x + 7, ey);
+      ctx.closePath();
+      ctx.fill();
+    } else {
+      this._ghostCar.x = g.x;
+      this._ghostCar.y = y;
+      ctx.globalAlpha  = g.finished ? 0.15 : 0.3;
+      this._onRoad(ctx, g.x, y);
+      this._ghostCar.draw(ctx, t);
+    }
+    ctx.restore();
+  }
+
   _drawBg(ctx) {
     const g = ctx.createLinearGradient(0, 0, 0, CANVAS_H);
     g.addColorStop(0, '#040010');
@@ -852,33 +1157,67 @@ export class Game {
     ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
   }
 
-  _drawRoad(ctx) {
-    const rw = ROAD_RIGHT - ROAD_LEFT;
+  // The road's shape comes from sim.road at each screen y, so widening and
+  // narrowing sections and bends scroll down with the grid
+  _drawRoad(ctx, alpha = 1) {
+    const road = this.sim.road;
+    // Scroll wraps at 80 px, so blend along the forward delta
+    const scrollY = this._prevRoadScrollY +
+      ((this.sim.roadScrollY - this._prevRoadScrollY + 80) % 80) * alpha;
+
+    // Sample the geometry down the screen
+    const rows = [];
+    for (let y = 0; y <= CANVAS_H; y += ROAD_SAMPLE) {
+      const o = road.offsetAt(y);
+      const { left, right } = road.boundsAt(y);
+      rows.push({ y, o, lanes: road.centersAt(y), left: left + o, right: right + o });
+    }
+    const edge = side => {
+      ctx.beginPath();
+      rows.forEach((r, i) => i ? ctx.lineTo(r[side], r.y) : ctx.moveTo(r[side], r.y));
+      ctx.stroke();
+    };
 
     // Road surface
     ctx.fillStyle = '#0c0c18';
-    ctx.fillRect(ROAD_LEFT, 0, rw, CANVAS_H);
+    ctx.beginPath();
+    rows.forEach((r, i) => i ? ctx.lineTo(r.left, r.y) : ctx.moveTo(r.left, r.y));
+    for (let i = rows.length - 1; i >= 0; i--) ctx.lineTo(rows[i].right, rows[i].y);
+    ctx.fill();
 
     // Horizontal grid
     ctx.strokeStyle = '#191932';
     ctx.lineWidth   = 1;
     ctx.shadowBlur  = 0;
     const gridH = 80;
-    const off   = this._roadScrollY % gridH;
+    const off   = scrollY % gridH;
     for (let y = -gridH + off; y < CANVAS_H + gridH; y += gridH) {
-      ctx.beginPath(); ctx.moveTo(ROAD_LEFT, y); ctx.lineTo(ROAD_RIGHT, y); ctx.stroke();
+      const { left, right } = road.boundsAt(y);
+      const o = road.offsetAt(y);
+      ctx.beginPath(); ctx.moveTo(left + o, y); ctx.lineTo(right + o, y); ctx.stroke();
     }
 
-    // Lane dividers
+    // Lane dividers — one polyline per gap, broken where merging lanes
+    // have squeezed it shut
     ctx.setLineDash([30, 20]);
-    ctx.lineWidth = 1.5;
-    for (let i = 1; i < LANE_COUNT; i++) {
-      const lx = (LANE_CENTERS[i-1] + LANE_CENTERS[i]) / 2;
-      ctx.strokeStyle    = '#280d4a';
-      ctx.shadowColor    = '#5522aa';
-      ctx.shadowBlur     = 5;
-      ctx.lineDashOffset = -this._roadScrollY;
-      ctx.beginPath(); ctx.moveTo(lx, 0); ctx.lineTo(lx, CANVAS_H); ctx.stroke();
+    ctx.lineWidth      = 1.5;
+    ctx.strokeStyle    = '#280d4a';
+    ctx.shadowColor    = '#5522aa';
+    ctx.shadowBlur     = 5;
+    ctx.lineDashOffset = -scrollY;
+    const gaps = Math.max(...rows.map(r => r.lanes.length)) - 1;
+    for (let g = 0; g < gaps; g++) {
+      ctx.beginPath();
+      let open = false;
+      for (const r of rows) {
+        const a = r.lanes[g], b = r.lanes[g + 1];
+        if (b === undefined || b - a < 24) { open = false; continue; }
+        const lx = (a + b) / 2 + r.o;
+        if (open) ctx.lineTo(lx, r.y);
+        else      ctx.moveTo(lx, r.y);
+        open = true;
+      }
+      ctx.stroke();
     }
     ctx.setLineDash([]);
     ctx.shadowBlur = 0;
@@ -888,12 +1227,13 @@ export class Game {
     ctx.lineWidth   = 2;
     ctx.shadowColor = '#ff00ff';
     ctx.shadowBlur  = 12;
-    ctx.beginPath(); ctx.moveTo(ROAD_LEFT,  0); ctx.lineTo(ROAD_LEFT,  CANVAS_H); ctx.stroke();
-    ctx.beginPath(); ctx.moveTo(ROAD_RIGHT, 0); ctx.lineTo(ROAD_RIGHT, CANVAS_H); ctx.stroke();
+    edge('left');
+    edge('right');
     ctx.shadowBlur = 0;
   }
 
   _drawHUD(ctx, t) {
+    const sim = this.sim;
     ctx.save();
 
     // Dark panel background
@@ -910,23 +1250,23 @@ export class Game {
     ctx.fillStyle  = '#00ffff';
     ctx.shadowColor = '#00ffff';
     ctx.shadowBlur  = 8;
-    ctx.fillText(`SCORE  ${Math.floor(this.score).toString().padStart(6,'0')}`, 36, 26);
+    ctx.fillText(`SCORE  ${Math.floor(sim.score).toString().padStart(6,'0')}`, 36, 26);
 
     // Speed — reflects effective scroll (brake / nitro)
-    const kmh = Math.round(this._displaySpeed * 0.36);
+    const kmh = Math.round(sim.scrollSpeed * 0.36);
     ctx.textAlign  = 'right';
     ctx.fillStyle  = '#ff44ff';
     ctx.shadowColor = '#ff44ff';
     ctx.fillText(`${kmh} km/h`, CANVAS_W - 36, 26);
 
     // Nitro / Brake indicator
-    if (this.player.nitroActive && Math.floor(t * 6) % 2 === 0) {
+    if (sim.player.nitroActive && Math.floor(t * 6) % 2 === 0) {
       ctx.font        = 'bold 11px "Courier New"';
       ctx.fillStyle   = '#ffee00';
       ctx.shadowColor = '#ffee00';
       ctx.shadowBlur  = 10;
       ctx.fillText('NITRO', CANVAS_W - 36, 14);
-    } else if (this.player.brakeActive) {
+    } else if (sim.player.brakeActive) {
       ctx.font        = 'bold 11px "Courier New"';
       ctx.fillStyle   = '#44aaff';
       ctx.shadowColor = '#44aaff';
@@ -934,13 +1274,37 @@ export class Game {
       ctx.fillText('BRAKE', CANVAS_W - 36, 14);
     }
 
+    // Ghost delta — distance and score vs the best run at this moment
+    if (this._showGhost) {
+      const g  = this._ghost.at(sim.tick);
+      const dm = Math.round((sim.distance - g.distance) / PX_PER_METRE);
+      const ds = Math.floor(sim.score) - g.score;
+      const col = dm >= 0 ? '#44ff99' : '#ff5577';
+      ctx.textAlign   = 'center';
+      ctx.font        = '11px "Courier New"';
+      ctx.fillStyle   = col;
+      ctx.shadowColor = col;
+      ctx.shadowBlur  = 6;
+      ctx.fillText(`GHOST ${dm >= 0 ? '+' : ''}${dm}m  ${ds >= 0 ? '+' : ''}${ds}`, CANVAS_W / 2, 38);
+    }
+
     // Lives
     ctx.textAlign  = 'left';
     ctx.font       = '15px "Courier New"';
     ctx.fillStyle  = '#ff2266';
     ctx.shadowColor = '#ff2266';
     ctx.shadowBlur  = 7;
-    ctx.fillText('♥ '.repeat(this.player.lives).trimEnd(), 36, 50);
+    ctx.fillText('♥ '.repeat(sim.player.lives).trimEnd(), 36, 50);
+
+    // Damage — car outline, each zone tinted green → red by wear
+    const dmg  = sim.player.damage;
+    const wear = d => d <= 0 ? '#44ff9966' : d < 0.5 ? '#ffcc00' : d < 1 ? '#ff8800' : '#ff2244';
+    const dx = 128, dy = 38;
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = wear(dmg.front); ctx.fillRect(dx + 2, dy,      8, 4);
+    ctx.fillStyle = wear(dmg.side);  ctx.fillRect(dx,     dy + 5,  2, 10);
+    ctx.fillRect(dx + 10, dy + 5, 2, 10);
+    ctx.fillStyle = wear(dmg.rear);  ctx.fillRect(dx + 2, dy + 16, 8, 4);
 
     // Best
     if (this._highScore > 0) {
@@ -953,7 +1317,7 @@ export class Game {
     }
 
     // Speed bar
-    const speedT  = (this.gameSpeed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED);
+    const speedT  = (sim.gameSpeed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED);
     const barW    = 80;
     const barX    = CANVAS_W / 2 - barW / 2;
     ctx.strokeStyle = '#ff44ff44';
@@ -966,9 +1330,162 @@ export class Game {
     ctx.shadowBlur  = 6;
     ctx.fillRect(barX, 46, barW * speedT, 6);
 
+    // Nitro fuel — blinks red while nitro is held on an empty tank
+    const fuelT  = sim.player.fuel / NITRO_FUEL_MAX;
+    const fuelW  = 90;
+    const fuelX  = CANVAS_W - 36 - fuelW;
+    const dry    = sim.player.nitroDry && Math.floor(t * 8) % 2 === 0;
+    const fuelCol = dry ? '#ff2244' : fuelT < 0.25 ? '#ff8800' : '#ffee00';
+    ctx.strokeStyle = fuelCol + '55';
+    ctx.lineWidth   = 1;
+    ctx.shadowBlur  = 0;
+    ctx.strokeRect(fuelX, 56, fuelW, 5);
+    ctx.fillStyle   = fuelCol;
+    ctx.shadowColor = fuelCol;
+    ctx.shadowBlur  = 6;
+    ctx.fillRect(fuelX, 56, fuelW * fuelT, 5);
+    ctx.textAlign  = 'right';
+    ctx.font       = 'bold 9px "Courier New"';
+    ctx.shadowBlur = 0;
+    ctx.fillText('N₂O', fuelX - 4, 61);
+
+    // Heat — fills on sustained nitro; in a pursuit it shows the evasion
+    // still needed, flashing red / blue
+    if (sim.heat > 0 || sim.pursuit) {
+      const heatX   = CANVAS_W - 36 - fuelW;
+      const flash   = Math.floor(t * 8) % 2 === 0;
+      const heatCol = sim.pursuit ? (flash ? '#ff2233' : '#3377ff') : sim.heat > 0.6 ? '#ff5533' : '#ffaa44';
+      ctx.strokeStyle = heatCol + '55';
+      ctx.lineWidth   = 1;
+      ctx.shadowBlur  = 0;
+      ctx.strokeRect(heatX, 68, fuelW, 5);
+      ctx.fillStyle   = heatCol;
+      ctx.shadowColor = heatCol;
+      ctx.shadowBlur  = 6;
+      ctx.fillRect(heatX, 68, fuelW * sim.heat, 5);
+      ctx.textAlign  = 'right';
+      ctx.font       = 'bold 9px "Courier New"';
+      ctx.shadowBlur = 0;
+      ctx.fillText('HEAT', heatX - 4, 73);
+      if (sim.pursuit) {
+        ctx.font        = 'bold 11px "Courier New"';
+        ctx.shadowColor = heatCol;
+        ctx.shadowBlur  = 8;
+        ctx.fillText(sim.boxed ? 'BOXED IN' : 'PURSUIT', CANVAS_W - 36, 88);
+      }
+    }
+
+    // Boss armour
+    if (sim.boss) {
+      const boss = sim.boss;
+      const k    = boss.health / boss.maxHealth;
+      ctx.textAlign   = 'center';
+      ctx.font        = 'bold 11px "Courier New"';
+      ctx.fillStyle   = boss.color;
+      ctx.shadowColor = boss.color;
+      ctx.shadowBlur  = 8;
+      ctx.fillText(boss.defeated ? `${boss.name} DOWN` : boss.name, CANVAS_W / 2, 108);
+      ctx.strokeStyle = boss.color + '55';
+      ctx.lineWidth   = 1;
+      ctx.shadowBlur  = 0;
+      ctx.strokeRect(CANVAS_W / 2 - 110, 113, 220, 6);
+      ctx.shadowBlur  = 6;
+      ctx.fillRect(CANVAS_W / 2 - 110, 113, 220 * k, 6);
+      ctx.shadowBlur  = 0;
+    }
+
+    // Combo — multiplier plus a bar for the time left on the current link
+    if (sim.combo > 0) {
+      const left = sim.comboTimer / COMBO_WINDOW;
+      ctx.textAlign   = 'center';
+      ctx.font        = 'bold 16px "Courier New"';
+      ctx.fillStyle   = '#44ff99';
+      ctx.shadowColor = '#44ff99';
+      ctx.shadowBlur  = 10;
+      ctx.fillText(`COMBO ${sim.combo}  ×${sim.comboMult.toFixed(2)}`, CANVAS_W / 2, 82);
+      ctx.shadowBlur = 0;
+      ctx.fillStyle  = '#44ff9966';
+      ctx.fillRect(CANVAS_W / 2 - 50, 88, 100 * Math.min(left, 1), 3);
+    }
+
+    // Active power-ups — icon plus a bar for the time left
+    const active = [];
+    if (sim.player.shield) active.push(['shield', 1]);
+    for (const [kind, left] of Object.entries(sim.powerups)) {
+      if (left > 0) active.push([kind, left / POWERUP_DURATION[kind]]);
+    }
+    active.forEach(([kind, frac], i) => {
+      const { color, icon } = PICKUP_TYPES[kind];
+      const x = 36 + i * 30;
+      const blink = frac < 0.25 && Math.floor(t * 8) % 2 === 0;
+      ctx.globalAlpha  = blink ? 0.35 : 1;
+      ctx.strokeStyle  = color;
+      ctx.lineWidth    = 1;
+      ctx.shadowColor  = color;
+      ctx.shadowBlur   = 8;
+      ctx.strokeRect(x, 70, 24, 24);
+      ctx.fillStyle    = color;
+      ctx.font         = 'bold 14px "Courier New"';
+      ctx.textAlign    = 'center';
+      ctx.fillText(icon, x + 12, 87);
+      ctx.shadowBlur   = 0;
+      ctx.fillRect(x, 96, 24 * frac, 2);
+      ctx.globalAlpha  = 1;
+    });
+
+    // Near-miss callout, rising off the player's car
+    if (this._nearMiss) {
+      const k = this._nearMiss.timer / NEAR_MISS_FLASH;   // 1 → 0
+      ctx.globalAlpha = k;
+      ctx.textAlign   = 'center';
+      ctx.font        = 'bold 14px "Courier New"';
+      ctx.fillStyle   = '#ffffff';
+      ctx.shadowColor = '#44ff99';
+      ctx.shadowBlur  = 12;
+      ctx.fillText(`NEAR MISS +${this._nearMiss.points}`, sim.player.x, sim.player.y - 50 - (1 - k) * 30);
+      ctx.globalAlpha = 1;
+    }
+
+    // Takedown callout, above any near miss
+    if (this._takedown) {
+      const k = this._takedown.timer / TAKEDOWN_FLASH;
+      ctx.globalAlpha = Math.min(1, k * 2);
+      ctx.textAlign   = 'center';
+      ctx.font        = 'bold 16px "Courier New"';
+      ctx.fillStyle   = '#ffcc44';
+      ctx.shadowColor = '#ff6600';
+      ctx.shadowBlur  = 14;
+      ctx.fillText(`TAKEDOWN +${this._takedown.points}`, sim.player.x, sim.player.y - 80 - (1 - k) * 30);
+      ctx.globalAlpha = 1;
+    }
+
+    if (this._banner) this._drawBanner(ctx, this._banner);
+
     ctx.restore();
   }
 
+  // Rival or boss entering the race: a title and one line under it
+  _drawBanner(ctx, { title, line, color, timer }) {
+    const fade = Math.min(1, timer / 0.3, (BANNER_TIME - timer) / 0.2);
+    ctx.globalAlpha  = fade;
+    ctx.fillStyle    = 'rgba(5, 0, 20, 0.75)';
+    ctx.strokeStyle  = color;
+    ctx.lineWidth    = 1.5;
+    ctx.shadowColor  = color;
+    ctx.shadowBlur   = 12;
+    ctx.fillRect(CANVAS_W / 2 - 150, 130, 300, 52);
+    ctx.strokeRect(CANVAS_W / 2 - 150, 130, 300, 52);
+    ctx.textAlign    = 'center';
+    ctx.font         = 'bold 18px "Courier New"';
+    ctx.fillStyle    = color;
+    ctx.fillText(title, CANVAS_W / 2, 152);
+    ctx.shadowBlur   = 0;
+    ctx.font         = '11px "Courier New"';
+    ctx.fillStyle    = '#ccccee';
+    ctx.fillText(line, CANVAS_W / 2, 172);
+    ctx.globalAlpha  = 1;
+  }
+
   _drawMenu(ctx, t) {
     this.stars.draw(ctx);
     this._drawRoadStatic(ctx);
@@ -995,24 +1512,219 @@ export class Game {
 
     ctx.font       = '13px "Courier New"';
     ctx.fillStyle  = '#ffffff44';
-    ctx.fillText('← → / A D  steer   W/↑ nitro   S/↓ brake', CANVAS_W / 2, 380);
-    ctx.fillText('ESC / P to pause', CANVAS_W / 2, 400);
+    ctx.fillText(
+      `${this._keysLabel('left')} ${this._keysLabel('right')}  steer   ` +
+      `${this._keysLabel('nitro')} nitro   ${this._keysLabel('brake')} brake`, CANVAS_W / 2, 380);
+    ctx.fillText(`${this._keysLabel('pause')} to pause`, CANVAS_W / 2, 400);
+    if (this._pad.connected) {
+      ctx.fillText('PAD: stick steer   RT nitro   LT brake   START pause', CANVAS_W / 2, 420);
+    }
 
     if (Math.floor(t * 2) % 2 === 0) {
       ctx.font        = 'bold 20px "Courier New"';
       ctx.fillStyle   = '#ffff00';
       ctx.shadowColor = '#ffff00';
       ctx.shadowBlur  = 12;
-      ctx.fillText('[ PRESS SPACE TO START ]', CANVAS_W / 2, 455);
+      ctx.fillText(`[ PRESS ${this._keysLabel('confirm')} TO START ]`, CANVAS_W / 2, 455);
     }
+    const tier = difficultyById(this.settings.difficulty);
+    const tb   = TIER_BOX;
+    ctx.font        = 'bold 15px "Courier New"';
+    ctx.fillStyle   = tier.color;
+    ctx.shadowColor = tier.color;
+    ctx.shadowBlur  = 8;
+    ctx.fillText(`‹  ${tier.name}  ›`, CANVAS_W / 2, tb.y + 17);
     if (this._highScore > 0) {
       ctx.font        = '15px "Courier New"';
       ctx.fillStyle   = '#ffcc00bb';
       ctx.shadowColor = '#ffcc00';
       ctx.shadowBlur  = 6;
-      ctx.fillText(`BEST: ${this._highScore}`, CANVAS_W / 2, 510);
+      ctx.fillText(`BEST: ${this._highScore}`, CANVAS_W / 2, 515);
+    }
+    if (this._bestReplay) {
+      ctx.font       = '13px "Courier New"';
+      ctx.fillStyle  = '#ffffff66';
+      ctx.shadowBlur = 0;
+      ctx.fillText('R  watch best run', CANVAS_W / 2, 540);
     }
 
+    const sb = SETTINGS_BOX;
+    ctx.font        = '13px "Courier New"';
+    ctx.fillStyle   = '#ff44ffbb';
+    ctx.strokeStyle = '#ff44ff55';
+    ctx.lineWidth   = 1;
+    ctx.shadowBlur  = 0;
+    ctx.strokeRect(sb.x, sb.y, sb.w, sb.h);
+    ctx.fillText('SETTINGS  [TAB]', CANVAS_W / 2, sb.y + 18);
+    const gb = GARAGE_BOX;
+    ctx.strokeRect(gb.x, gb.y, gb.w, gb.h);
+    ctx.fillText('GARAGE  [G]', CANVAS_W / 2, gb.y + 18);
+    ctx.fillStyle = '#ffffff55';
+    ctx.fillText(`CAR: ${carById(this._carId).name}`, CANVAS_W / 2, gb.y + 52);
+
+    ctx.restore();
+  }
+
+  _drawGarage(ctx, t) {
+    this.stars.draw(ctx);
+    this._drawRoadStatic(ctx);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,10,0.6)';
+    ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+
+    const car      = CARS[this._garageIndex];
+    const unlocked = this._isUnlocked(car);
+
+    ctx.textAlign   = 'center';
+    ctx.font        = 'bold 32px "Courier New"';
+    ctx.fillStyle   = '#00ffff';
+    ctx.shadowColor = '#00ffff';
+    ctx.shadowBlur  = 18;
+    ctx.fillText('GARAGE', CANVAS_W / 2, 90);
+
+    // Car on a slow turntable-style bob, twice size
+    const pv = this._garageCar;
+    pv.x = CANVAS_W / 2;
+    pv.y = 250;
+    ctx.save();
+    ctx.translate(pv.x, pv.y + Math.sin(t * 2) * 4);
+    ctx.scale(2, 2);
+    ctx.translate(-pv.x, -pv.y);
+    if (!unlocked) ctx.globalAlpha = 0.25;
+    pv.draw(ctx, t);
+    ctx.restore();
+
+    ctx.font        = 'bold 44px "Courier New"';
+    ctx.fillStyle   = '#ff44ff';
+    ctx.shadowColor = '#ff44ff';
+    ctx.shadowBlur  = 10;
+    ctx.globalAlpha = 0.6 + 0.4 * Math.sin(t * 4);
+    ctx.fillText('‹', 50, 262);
+    ctx.fillText('›', CANVAS_W - 50, 262);
+    ctx.globalAlpha = 1;
+
+    ctx.font        = 'bold 24px "Courier New"';
+    ctx.fillStyle   = car.trim;
+    ctx.shadowColor = car.trim;
+    ctx.shadowBlur  = 12;
+    ctx.fillText(car.name, CANVAS_W / 2, 360);
+
+    // Stat bars, scaled against the best in the line-up
+    const max  = key => Math.max(...CARS.map(key));
+    const h    = c => ({ ...DEFAULT_HANDLING, ...c.handling });
+    const stats = [
+      ['STEERING', h(car).maxLateral / max(c => h(c).maxLateral)],
+      ['GRIP',     h(car).grip       / max(c => h(c).grip)],
+      ['NITRO',    car.nitroMult     / max(c => c.nitroMult)],
+      ['SIZE',     (car.width * car.height) / max(c => c.width * c.height)],
+    ];
+    ctx.font       = '13px "Courier New"';
+    ctx.shadowBlur = 0;
+    stats.forEach(([label, v], i) => {
+      const y = 400 + i * 26;
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#ffffff99';
+      ctx.fillText(label, 90, y);
+      ctx.strokeStyle = '#ffffff33';
+      ctx.strokeRect(200, y - 10, 190, 10);
+      ctx.fillStyle = car.trim;
+      ctx.fillRect(200, y - 10, 190 * v, 10);
+    });
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ffffff99';
+    ctx.fillText('LIVES', 90, 504);
+    ctx.fillStyle = '#ff2266';
+    ctx.fillText('♥ '.repeat(car.lives).trimEnd(), 200, 504);
+
+    ctx.textAlign = 'center';
+    if (!unlocked) {
+      ctx.font      = 'bold 15px "Courier New"';
+      ctx.fillStyle = '#ff5577';
+      ctx.fillText(`LOCKED — ${car.unlock} TOTAL SCORE`, CANVAS_W / 2, 560);
+      ctx.font      = '12px "Courier New"';
+      ctx.fillStyle = '#ffffff66';
+      ctx.fillText(`you have ${this._totalScore}`, CANVAS_W / 2, 580);
+    } else if (car.id === this._carId) {
+      ctx.font      = 'bold 15px "Courier New"';
+      ctx.fillStyle = '#44ff99';
+      ctx.fillText('✔ SELECTED', CANVAS_W / 2, 560);
+    } else if (Math.floor(t * 2) % 2 === 0) {
+      ctx.font      = 'bold 15px "Courier New"';
+      ctx.fillStyle = '#ffff00';
+      ctx.fillText(`[ ${this._keysLabel('confirm')} TO SELECT ]`, CANVAS_W / 2, 560);
+    }
+
+    ctx.font      = '11px "Courier New"';
+    ctx.fillStyle = '#ffffff55';
+    ctx.fillText('← → browse   ESC back', CANVAS_W / 2, CANVAS_H - 40);
+
+    ctx.restore();
+  }
+
+  // "A / ←" style label for an action's bound keys
+  _keysLabel(action) {
+    return this.settings.bindings[action].map(keyLabel).join('/') || '—';
+  }
+
+  _drawSettings(ctx, t) {
+    this.stars.draw(ctx);
+    this._drawRoadStatic(ctx);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,10,0.6)';
+    ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+
+    ctx.textAlign   = 'center';
+    ctx.font        = 'bold 32px "Courier New"';
+    ctx.fillStyle   = '#00ffff';
+    ctx.shadowColor = '#00ffff';
+    ctx.shadowBlur  = 18;
+    ctx.fillText('SETTINGS', CANVAS_W / 2, 100);
+
+    const s = this.settings;
+    ctx.font = '14px "Courier New"';
+    SETTINGS_ROWS.forEach((row, i) => {
+      const y   = SETTINGS_TOP + i * SETTINGS_ROW;
+      const sel = i === this._settingsIndex;
+
+      let value = '';
+      if (row.kind === 'bind') {
+        value = this._capturing === row.action
+          ? (Math.floor(t * 3) % 2 === 0 ? 'PRESS A KEY' : '')
+          : this._keysLabel(row.action);
+      } else if (row.kind === 'volume') {
+        const v = Math.round(s.volume[row.key] * 10);
+        value = `◄ ${'█'.repeat(v)}${'·'.repeat(10 - v)} ►`;
+      } else if (row.kind === 'toggle') {
+        value = s[row.key] ? 'ON' : 'OFF';
+      } else if (row.kind === 'touchMode') {
+        value = s.touchMode === TOUCH_MODE.DRAG ? 'DRAG' : 'HALVES';
+      } else if (row.kind === 'road') {
+        value = `◄ ${roadById(s.road).name} ►`;
+      }
+
+      ctx.shadowColor = '#ff44ff';
+      ctx.shadowBlur  = sel ? 10 : 0;
+      ctx.fillStyle   = sel ? '#ff44ff' : '#ffffff88';
+      if (value) {
+        ctx.textAlign = 'left';
+        ctx.fillText(`${sel ? '▸ ' : '  '}${row.label}`, 48, y);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = sel ? '#ffff00' : '#ffffffcc';
+        ctx.fillText(value, CANVAS_W - 48, y);
+      } else {
+        ctx.textAlign = 'center';
+        ctx.fillText(sel ? `▸ ${row.label} ◂` : row.label, CANVAS_W / 2, y);
+      }
+    });
+
+    ctx.textAlign  = 'center';
+    ctx.font       = '11px "Courier New"';
+    ctx.fillStyle  = '#ffffff55';
+    ctx.shadowBlur = 0;
+    ctx.fillText(
+      this._capturing ? 'ESC to cancel' : '↑ ↓ select   ← → adjust   ENTER change   ESC back',
+      CANVAS_W / 2, CANVAS_H - 40);
+
     ctx.restore();
   }
 
@@ -1040,7 +1752,45 @@ export class Game {
     ctx.font       = '15px "Courier New"';
     ctx.fillStyle  = '#ffffffaa';
     ctx.shadowBlur = 0;
-    ctx.fillText('[ ESC or P to resume ]', CANVAS_W / 2, CANVAS_H / 2 + 20);
+    ctx.fillText(`[ ${this._keysLabel('pause')} to resume ]`, CANVAS_W / 2, CANVAS_H / 2 + 20);
+    if (this._autoPaused) {
+      ctx.font      = '12px "Courier New"';
+      ctx.fillStyle = '#ffffff66';
+      ctx.fillText('paused while the game was in the background', CANVAS_W / 2, CANVAS_H / 2 + 46);
+    }
+    ctx.restore();
+  }
+
+  _drawCountdown(ctx) {
+    const n    = Math.ceil(this._resumeTimer);
+    const frac = this._resumeTimer - Math.floor(this._resumeTimer);   // 1 → 0 within each count
+    ctx.save();
+    ctx.fillStyle = `rgba(0,0,0,${0.35 * this._resumeTimer / RESUME_COUNTDOWN})`;
+    ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+    ctx.textAlign   = 'center';
+    ctx.font        = `bold ${Math.round(48 + 36 * frac)}px "Courier New"`;
+    ctx.fillStyle   = '#00ffff';
+    ctx.shadowColor = '#00ffff';
+    ctx.shadowBlur  = 26;
+    ctx.globalAlpha = 0.4 + 0.6 * frac;
+    ctx.fillText(String(n), CANVAS_W / 2, CANVAS_H / 2);
+    ctx.restore();
+  }
+
+  _drawReplayBadge(ctx, t) {
+    ctx.save();
+    ctx.textAlign = 'center';
+    if (Math.floor(t * 2) % 2 === 0) {
+      ctx.font        = 'bold 16px "Courier New"';
+      ctx.fillStyle   = '#ff2266';
+      ctx.shadowColor = '#ff2266';
+      ctx.shadowBlur  = 10;
+      ctx.fillText('● REPLAY', CANVAS_W / 2, 86);
+    }
+    ctx.font       = '11px "Courier New"';
+    ctx.fillStyle  = '#ffffff66';
+    ctx.shadowBlur = 0;
+    ctx.fillText('[ ESC to exit ]', CANVAS_W / 2, CANVAS_H - 16);
     ctx.restore();
   }
 
@@ -1061,9 +1811,9 @@ export class Game {
     ctx.fillStyle   = '#00ffff';
     ctx.shadowColor = '#00ffff';
     ctx.shadowBlur  = 14;
-    ctx.fillText(`SCORE: ${Math.floor(this.score)}`, CANVAS_W / 2, 295);
+    ctx.fillText(`SCORE: ${Math.floor(this.sim.score)}`, CANVAS_W / 2, 295);
 
-    if (Math.floor(this.score) >= this._highScore && this._highScore > 0) {
+    if (Math.floor(this.sim.score) >= this._highScore && this._highScore > 0) {
       ctx.font        = 'bold 19px "Courier New"';
       ctx.fillStyle   = '#ffcc00';
       ctx.shadowColor = '#ffcc00';
@@ -1074,14 +1824,34 @@ export class Game {
     ctx.font       = '15px "Courier New"';
     ctx.fillStyle  = '#ffcc0099';
     ctx.shadowBlur = 4;
-    ctx.fillText(`BEST: ${this._highScore}`, CANVAS_W / 2, 375);
+    ctx.fillText(`BEST ${this.sim.tier.name}: ${this._highScore}`, CANVAS_W / 2, 375);
+
+    ctx.font       = '11px "Courier New"';
+    ctx.fillStyle  = '#ffffff44';
+    ctx.shadowBlur = 0;
+    ctx.fillText(`SEED ${this.sim.seed}`, CANVAS_W / 2, 400);
+
+    if (this._newUnlocks.length) {
+      ctx.font        = 'bold 14px "Courier New"';
+      ctx.fillStyle   = '#44ff99';
+      ctx.shadowColor = '#44ff99';
+      ctx.shadowBlur  = 10;
+      ctx.fillText(`UNLOCKED: ${this._newUnlocks.map(c => c.name).join(', ')}`, CANVAS_W / 2, 422);
+    }
 
     if (Math.floor(t * 2) % 2 === 0) {
       ctx.font        = 'bold 18px "Courier New"';
       ctx.fillStyle   = '#ffff00';
       ctx.shadowColor = '#ffff00';
       ctx.shadowBlur  = 12;
-      ctx.fillText('[ SPACE TO PLAY AGAIN ]', CANVAS_W / 2, 448);
+      ctx.fillText(`[ ${this._keysLabel('confirm')} TO PLAY AGAIN ]`, CANVAS_W / 2, 448);
+    }
+
+    if (this._lastReplay) {
+      ctx.font       = '13px "Courier New"';
+      ctx.fillStyle  = '#ffffff66';
+      ctx.shadowBlur = 0;
+      ctx.fillText('R  watch replay    E  export replay', CANVAS_W / 2, 490);
     }
 
     ctx.restore();
@@ -1216,6 +1986,7 @@ export class Game {
   }
 
   _drawScanlines(ctx) {
+    if (!this.settings.scanlines) return;
     ctx.save();
     ctx.globalAlpha = 0.07;
     for (let y = 0; y < CANVAS_H; y += 4) {
@@ -0,0 +1,70 @@
+/**
+ * ghost.js — Personal-best ghost
+ * A sampled position track of the best run, played back beside the live car.
+ * Purely presentational: the ghost never enters the simulation.
+ */
+
+export const GHOST_FORMAT   = 1;
+export const GHOST_INTERVAL = 6;   // ticks between samples (20 Hz at 120 Hz)
+
+// ─── Recorder ─────────────────────────────────────────────────────────────────
+
+export class GhostRecorder {
+  constructor(car, road) {
+    this._car  = car;    // drawn as this car; absent in older ghosts
+    this._road = road;   // only shown on this layout; absent in older ghosts
+    this._x = [];   // player x
+    this._d = [];   // distance covered
+    this._s = [];   // score
+  }
+
+  // Call after every tick (and once after reset); keeps every Nth
+  sample(sim) {
+    if (sim.tick % GHOST_INTERVAL !== 0) return;
+    this._x.push(Math.round(sim.player.x));
+    this._d.push(Math.round(sim.distance));
+    this._s.push(Math.floor(sim.score));
+  }
+
+  finish() {
+    return { v: GHOST_FORMAT, interval: GHOST_INTERVAL, car: this._car, road: this._road, x: this._x, d: this._d, s: this._s };
+  }
+}
+
+// ─── Track ────────────────────────────────────────────────────────────────────
+
+export class GhostTrack {
+  constructor(data) {
+    this.data = data;
+  }
+
+  get length() {
+    return this.data.d.length;
+  }
+
+  // Ghost state at a live tick, interpolated between samples. Once the best
+  // run has ended the ghost stays parked where it crashed.
+  at(tick) {
+    const { x, d, s, interval } = this.data;
+    const last = this.length - 1;
+    const f    = tick / interval;
+    const i    = Math.floor(f);
+    if (i >= last) return { x: x[last], distance: d[last], score: s[last], finished: true };
+    const a = f - i;
+    return {
+      x:        x[i] + (x[i + 1] - x[i]) * a,
+      distance: d[i] + (d[i + 1] - d[i]) * a,
+      score:    s[i],
+      finished: false,
+    };
+  }
+}
+
+// Throws on data this build can't play
+export function parseGhost(text) {
+  const data = JSON.parse(text);
+  if (data?.v !== GHOST_FORMAT || !Array.isArray(data.d) || data.d.length < 2) {
+    throw new Error('Unrecognised ghost format');
+  }
+  return new GhostTrack(data);
+}
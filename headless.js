@@ -0,0 +1,80 @@
+/**
+ * headless.js — Step a run in Node, no browser required
+ *
+ *   node headless.js [seed] [seconds] [car] [road] [difficulty]
+ *   node headless.js run.replay.json      # re-simulate an exported replay
+ *
+ * Or import runHeadless() from a test/balance script and assert on the
+ * returned Simulation (score, lives, positions); headless.test.js does
+ * that for CI (`node --test`).
+ */
+
+import { readFileSync }             from 'node:fs';
+import { Simulation, NO_INPUT }     from './sim.js';
+import { SIM_HZ }                   from './constants.js';
+import { parseReplay, replayInput } from './replay.js';
+
+// input: (tick, sim) => { left, right, nitro, brake } — scripted driver.
+// onTick: optional (sim) => void after every step, for sampling state.
+// car / road / difficulty: ids from cars.js / road.js / difficulty.js
+// (defaults if omitted).
+export function runHeadless({ seed = 1, seconds = 60, car, road, difficulty, input = () => NO_INPUT, onTick } = {}) {
+  const sim      = new Simulation(seed, car, road, difficulty);
+  const maxTicks = Math.round(seconds * SIM_HZ);
+  while (!sim.over && sim.tick < maxTicks) {
+    sim.step(input(sim.tick, sim));
+    sim.takeEvents();
+    onTick?.(sim);
+  }
+  return sim;
+}
+
+// Re-simulate a parsed replay; the result should match replay.score
+export function runReplay(replay, onTick) {
+  return runHeadless({
+    seed:       replay.seed,
+    car:        replay.car,
+    road:       replay.road,
+    difficulty: replay.difficulty,
+    seconds:    replay.ticks / SIM_HZ,
+    input:      replayInput(replay),
+    onTick,
+  });
+}
+
+// Plain-data view of a run, handy for logs and snapshot comparisons
+export function summarize(sim) {
+  return {
+    seed:       sim.seed,
+    car:        sim.carId,
+    road:       sim.roadId,
+    difficulty: sim.difficultyId,
+    tick:       sim.tick,
+    time:       +sim.totalTime.toFixed(3),
+    over:       sim.over,
+    score:      Math.floor(sim.score),
+    combo:      sim.bestCombo,
+    lives:      sim.player.lives,
+    player:     { x: +sim.player.x.toFixed(2), y: sim.player.y },
+    ai:         sim.aiCars.map(a => ({ x: +a.x.toFixed(2), y: +a.y.toFixed(2), state: a.state })),
+    traffic:    sim.trafficCars.length,
+  };
+}
+
+// CLI entry — only when run directly, never when imported
+if (typeof process !== 'undefined' && import.meta.url === new URL(process.argv[1], 'file://').href) {
+  const arg = process.argv[2] ?? '1';
+  let sim;
+  if (arg.endsWith('.json')) {
+    sim = runReplay(parseReplay(readFileSync(arg, 'utf8')));
+  } else {
+    sim = runHeadless({
+      seed:       Number(arg) >>> 0,
+      seconds:    Number(process.argv[3] ?? 60),
+      car:        process.argv[4],
+      road:       process.argv[5],
+      difficulty: process.argv[6],
+    });
+  }
+  console.log(JSON.stringify(summarize(sim), null, 2));
+}
@@ -0,0 +1,116 @@
+/**
+ * headless.test.js — Simulation and replay checks for CI
+ *
+ *   node --test
+ *
+ * Steps runs with a scripted driver; no browser needed. Anything that
+ * changes SIM_VERSION should still pass here — add a case when a change
+ * brings in something the matrix below doesn't reach.
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { runHeadless, runReplay, summarize }           from './headless.js';
+import { ReplayRecorder, serializeReplay, parseReplay } from './replay.js';
+import { Simulation, NO_INPUT } from './sim.js';
+import { SIM_HZ }       from './constants.js';
+import { CARS }         from './cars.js';
+import { ROAD_LAYOUTS } from './road.js';
+import { DIFFICULTIES } from './difficulty.js';
+
+const SECONDS = 30;
+const SEED    = 7;
+
+// Weaves across the lanes and bursts nitro, so runs reach traffic,
+// rivals, contacts and (on the faster tiers) pursuits
+function driver(tick) {
+  return {
+    left:  (tick >> 7) % 3 === 0,
+    right: (tick >> 7) % 3 === 1,
+    nitro: (tick >> 8) % 2 === 0,
+    brake: false,
+  };
+}
+
+// Full lock one way for two seconds, then the other
+function hardLock(tick) {
+  const left = tick % (4 * SIM_HZ) < 2 * SIM_HZ;
+  return { left, right: !left, nitro: false, brake: false };
+}
+
+test('score climbs as the run goes on', () => {
+  const sim = new Simulation(SEED);
+  let last = sim.score;
+  for (let i = 0; i < 5 * SIM_HZ; i++) {
+    sim.step(NO_INPUT);
+    assert.ok(sim.score >= last, `score fell at tick ${sim.tick}`);
+    last = sim.score;
+  }
+  assert.ok(sim.score > 0);
+});
+
+test('a car dead ahead costs a life', () => {
+  const sim = new Simulation(SEED);
+  sim.step(NO_INPUT);
+  const p     = sim.player;
+  const lives = p.lives;
+  const car   = sim.aiCars[0];
+  car.x = p.x;
+  car.y = p.y - p.height * 0.6;
+  sim.step(NO_INPUT);
+  assert.equal(p.lives, lives - 1);
+});
+
+// Backroads narrows to two lanes, so the edges close in on the car too
+test('steering hard never leaves the road', () => {
+  runHeadless({
+    seed: SEED, seconds: 20, road: 'backroads', input: hardLock,
+    onTick: sim => {
+      const p = sim.player;
+      const { left, right } = sim.road.boundsAt(p.y);
+      assert.ok(p.x - p.width / 2 >= left && p.x + p.width / 2 <= right,
+        `player at x ${p.x.toFixed(1)} on tick ${sim.tick}`);
+    },
+  });
+});
+
+// Every road and tier, cycling through the cars
+const MATRIX = ROAD_LAYOUTS.flatMap((road, r) =>
+  DIFFICULTIES.map((tier, d) => ({
+    seed:       1 + r * DIFFICULTIES.length + d,
+    road:       road.id,
+    difficulty: tier.id,
+    car:        CARS[(r + d) % CARS.length].id,
+  }))
+);
+
+for (const run of MATRIX) {
+  const name = `${run.road} / ${run.difficulty} / ${run.car} (seed ${run.seed})`;
+
+  test(`same seed and input give the same run — ${name}`, () => {
+    const a = runHeadless({ ...run, seconds: SECONDS, input: driver });
+    const b = runHeadless({ ...run, seconds: SECONDS, input: driver });
+    assert.deepEqual(summarize(a), summarize(b));
+  });
+
+  test(`a serialized replay reproduces the score — ${name}`, () => {
+    const sim = new Simulation(run.seed, run.car, run.road, run.difficulty);
+    const rec = new ReplayRecorder(sim.seed, sim.carId, sim.roadId, sim.difficultyId);
+    while (!sim.over && sim.tick < SECONDS * SIM_HZ) {
+      const input = driver(sim.tick);
+      rec.record(sim.tick, input);
+      sim.step(input);
+      sim.takeEvents();
+    }
+    const replay = parseReplay(serializeReplay(rec.finish(sim.tick, Math.floor(sim.score))));
+    const again  = runReplay(replay);
+    assert.equal(Math.floor(again.score), replay.score);
+    assert.deepEqual(summarize(again), summarize(sim));
+  });
+}
+
+test('a replay from another simulation version is rejected', () => {
+  const data = new ReplayRecorder(1).finish(0, 0);
+  data.sim  -= 1;
+  assert.throws(() => parseReplay(JSON.stringify(data)), /simulation v/);
+});
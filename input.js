@@ -0,0 +1,221 @@
+/**
+ * input.js — Touch and gamepad controls
+ * Both map onto the same action state the keyboard produces
+ * ({ left, right, nitro, brake, steer? }); touch adds an optional overlay.
+ */
+
+import { CANVAS_W, CANVAS_H } from './constants.js';
+
+// HALVES: hold left / right half of the road to steer.
+// DRAG:   put a finger down anywhere and slide it — steering follows the
+//         offset from where it landed, like a floating joystick.
+export const TOUCH_MODE = { HALVES: 'halves', DRAG: 'drag' };
+
+const BUTTON_H  = 110;   // bottom band holding the brake / nitro zones
+const BUTTON_W  = 130;
+const PAUSE_BOX = { x: CANVAS_W - 62, y: 62, w: 44, h: 34 };
+const DRAG_DEAD = 14;    // px of finger travel before drag steering engages
+const DRAG_MAX  = 60;    // px — knob travel drawn on the overlay
+const TAP_SLOP  = 30;    // px — more movement than this is a swipe, not a tap
+
+export class TouchControls {
+  // onTap(x, y, zone) fires for touches that end without moving far;
+  // x / y are in logical 480×720 canvas space
+  constructor(canvas, { mode = TOUCH_MODE.HALVES, onTap } = {}) {
+    this.canvas      = canvas;
+    this.mode        = mode;
+    this.showOverlay = true;
+    this.active      = false;   // becomes true on the first touch
+    this.state       = { left: false, right: false, nitro: false, brake: false };
+
+    this._onTap   = onTap;
+    this._touches = new Map();  // identifier → { x0, y0, x, y, zone }
+
+    const opts = { passive: false };
+    canvas.addEventListener('touchstart',  e => this._onStart(e), opts);
+    canvas.addEventListener('touchmove',   e => this._onMove(e),  opts);
+    canvas.addEventListener('touchend',    e => this._onEnd(e),   opts);
+    canvas.addEventListener('touchcancel', e => this._onEnd(e, true), opts);
+  }
+
+  // Drop every held touch — e.g. when the page loses focus mid-gesture
+  reset() {
+    this._touches.clear();
+    this._recompute();
+  }
+
+  // Client pixels → logical canvas space
+  _toLogical(touch) {
+    const r = this.canvas.getBoundingClientRect();
+    return {
+      x: (touch.clientX - r.left) * CANVAS_W / r.width,
+      y: (touch.clientY - r.top)  * CANVAS_H / r.height,
+    };
+  }
+
+  _zoneAt(x, y) {
+    if (y > CANVAS_H - BUTTON_H) {
+      if (x < BUTTON_W)            return 'brake';
+      if (x > CANVAS_W - BUTTON_W) return 'nitro';
+    }
+    if (x >= PAUSE_BOX.x && x <= PAUSE_BOX.x + PAUSE_BOX.w &&
+        y >= PAUSE_BOX.y && y <= PAUSE_BOX.y + PAUSE_BOX.h) return 'pause';
+    return 'steer';
+  }
+
+  _onStart(e) {
+    e.preventDefault();
+    this.active = true;
+    for (const t of e.changedTouches) {
+      const { x, y } = this._toLogical(t);
+      this._touches.set(t.identifier, { x0: x, y0: y, x, y, zone: this._zoneAt(x, y) });
+    }
+    this._recompute();
+  }
+
+  _onMove(e) {
+    e.preventDefault();
+    for (const t of e.changedTouches) {
+      const held = this._touches.get(t.identifier);
+      if (!held) continue;
+      Object.assign(held, this._toLogical(t));
+    }
+    this._recompute();
+  }
+
+  _onEnd(e, cancelled = false) {
+    e.preventDefault();
+    for (const t of e.changedTouches) {
+      const held = this._touches.get(t.identifier);
+      if (!held) continue;
+      this._touches.delete(t.identifier);
+      const moved = Math.hypot(held.x - held.x0, held.y - held.y0);
+      if (!cancelled && moved <= TAP_SLOP) this._onTap?.(held.x0, held.y0, held.zone);
+    }
+    this._recompute();
+  }
+
+  _recompute() {
+    const s = { left: false, right: false, nitro: false, brake: false };
+    for (const t of this._touches.values()) {
+      if      (t.zone === 'nitro') s.nitro = true;
+      else if (t.zone === 'brake') s.brake = true;
+      else if (t.zone === 'steer') {
+        if (this.mode === TOUCH_MODE.DRAG) {
+          const dx = t.x - t.x0;
+          if      (dx < -DRAG_DEAD) s.left  = true;
+          else if (dx >  DRAG_DEAD) s.right = true;
+        } else if (t.x < CANVAS_W / 2) {
+          s.left = true;
+        } else {
+          s.right = true;
+        }
+      }
+    }
+    this.state = s;
+  }
+
+  // ─── Overlay ──────────────────────────────────────────────────────────────
+
+  draw(ctx) {
+    ctx.save();
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font         = 'bold 13px "Courier New"';
+
+    const button = (x, y, w, h, label, col, on) => {
+      ctx.globalAlpha = on ? 0.55 : 0.22;
+      ctx.fillStyle   = col + '33';
+      ctx.strokeStyle = col;
+      ctx.lineWidth   = 2;
+      ctx.shadowColor = col;
+      ctx.shadowBlur  = on ? 14 : 4;
+      ctx.beginPath(); ctx.roundRect(x, y, w, h, 10); ctx.fill(); ctx.stroke();
+      ctx.fillStyle = col;
+      ctx.fillText(label, x + w / 2, y + h / 2);
+    };
+
+    const by = CANVAS_H - BUTTON_H + 16;
+    const bh = BUTTON_H - 32;
+    button(16, by, BUTTON_W - 28, bh, 'BRAKE', '#44aaff', this.state.brake);
+    button(CANVAS_W - BUTTON_W + 12, by, BUTTON_W - 28, bh, 'NITRO', '#ffee00', this.state.nitro);
+    button(PAUSE_BOX.x, PAUSE_BOX.y, PAUSE_BOX.w, PAUSE_BOX.h, 'II', '#ffffff', false);
+
+    if (this.mode === TOUCH_MODE.HALVES) {
+      ctx.font = 'bold 34px "Courier New"';
+      ctx.shadowBlur = 0;
+      ctx.globalAlpha = this.state.left  ? 0.5 : 0.14;
+      ctx.fillStyle   = '#ff44ff';
+      ctx.fillText('‹', 60, CANVAS_H / 2);
+      ctx.globalAlpha = this.state.right ? 0.5 : 0.14;
+      ctx.fillText('›', CANVAS_W - 60, CANVAS_H / 2);
+    } else {
+      // Floating stick: ring at the landing point, knob at the finger
+      for (const t of this._touches.values()) {
+        if (t.zone !== 'steer') continue;
+        const dx = Math.max(-DRAG_MAX, Math.min(DRAG_MAX, t.x - t.x0));
+        ctx.globalAlpha = 0.35;
+        ctx.strokeStyle = '#ff44ff';
+        ctx.lineWidth   = 2;
+        ctx.beginPath(); ctx.arc(t.x0, t.y0, DRAG_MAX, 0, Math.PI * 2); ctx.stroke();
+        ctx.fillStyle = '#ff44ff';
+        ctx.beginPath(); ctx.arc(t.x0 + dx, t.y0, 18, 0, Math.PI * 2); ctx.fill();
+      }
+    }
+
+    ctx.restore();
+  }
+}
+
+// ─── Gamepad ──────────────────────────────────────────────────────────────────
+// Standard-mapping pads: left stick / d-pad steer, RT nitro, LT brake.
+
+const STICK_DEAD   = 0.15;
+const TRIGGER_DOWN = 0.2;
+
+// Standard-mapping button indices → names reported by poll()
+const PAD_BUTTONS = { 0: 'a', 1: 'b', 2: 'x', 3: 'y', 8: 'select', 9: 'start', 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+export class GamepadInput {
+  constructor() {
+    this.connected = false;
+    this.state     = { left: false, right: false, nitro: false, brake: false, steer: 0 };
+    this._held     = {};   // button name → pressed last poll
+  }
+
+  // Call once per frame. Refreshes state and returns the names of buttons
+  // that went down since the previous poll (for menu navigation / pause).
+  poll() {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad  = [...pads].find(p => p && p.connected);
+    this.connected = !!pad;
+    if (!pad) {
+      this.state = { left: false, right: false, nitro: false, brake: false, steer: 0 };
+      this._held = {};
+      return [];
+    }
+
+    const btn = i => pad.buttons[i] ?? { pressed: false, value: 0 };
+
+    // Rescale past the dead zone so small deflections still steer gently
+    const raw   = pad.axes[0] ?? 0;
+    const mag   = Math.abs(raw) < STICK_DEAD ? 0 : (Math.abs(raw) - STICK_DEAD) / (1 - STICK_DEAD);
+    const steer = Math.sign(raw) * Math.min(mag, 1);
+
+    this.state = {
+      left:  btn(14).pressed,
+      right: btn(15).pressed,
+      nitro: btn(7).value > TRIGGER_DOWN || btn(7).pressed,
+      brake: btn(6).value > TRIGGER_DOWN || btn(6).pressed,
+      steer,
+    };
+
+    const pressed = [];
+    for (const [i, name] of Object.entries(PAD_BUTTONS)) {
+      const down = btn(Number(i)).pressed;
+      if (down && !this._held[name]) pressed.push(name);
+      this._held[name] = down;
+    }
+    return pressed;
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * obstacles.js — Static hazards lying on the road
+ * Cones, barriers, oil slicks, potholes, roadworks warning signs, police
+ * roadblocks and the wrecks left by crashes. Like pickups they scroll past
+ * at full road speed; the simulation decides what touching one does.
+ */
+
+// kind → hitbox and role. hazard: AI and traffic steer round it; contact:
+// the player can run into it (signs stand on the verge).
+export const OBSTACLE_TYPES = {
+  cone:      { w: 16, h: 18, hazard: true,  contact: true  },   // knocked flying, light scuff
+  barrier:   { w: 46, h: 16, hazard: true,  contact: true  },   // as bad as a crash
+  oil:       { w: 46, h: 36, hazard: true,  contact: true  },   // grip goes for a moment
+  pothole:   { w: 28, h: 20, hazard: true,  contact: true  },   // jolts the car
+  sign:      { w: 22, h: 30, hazard: false, contact: false },   // roadworks ahead
+  roadblock: { w: 40, h: 18, hazard: true,  contact: true  },   // police barricade, as a barrier
+  wreck:     { w: 36, h: 56, hazard: true,  contact: true  },   // crashed car, as a barrier
+};
+
+export class Obstacle {
+  constructor(kind, x, y) {
+    this.kind   = kind;
+    this.x      = x;
+    this.y      = y;
+    this._def   = OBSTACLE_TYPES[kind];
+    this.width  = this._def.w;
+    this.height = this._def.h;
+    this.hit    = false;   // the player has already run into it
+
+    // Knocked cones tumble away up the road
+    this.knocked = false;
+    this._vx     = 0;
+    this._vy     = 0;
+    this._spin   = 0;
+    this.angle   = 0;
+  }
+
+  // A crashed car left where it stopped, in its own colour and size
+  static wreckOf(car, angle) {
+    const w  = new Obstacle('wreck', car.x, car.y);
+    w.width  = car.width;
+    w.height = car.height;
+    w.color  = car.color;
+    w.angle  = angle;
+    return w;
+  }
+
+  // Whether AI and traffic should steer round it
+  get hazard() {
+    return this._def.hazard && !this.knocked;
+  }
+
+  get contact() {
+    return this._def.contact && !this.hit;
+  }
+
+  knock(vx, vy, spin) {
+    this.knocked = true;
+    this._vx     = vx;
+    this._vy     = vy;
+    this._spin   = spin;
+  }
+
+  update(dt) {
+    if (!this.knocked) return;
+    this.x     += this._vx * dt;
+    this.y     += this._vy * dt;
+    this.angle += this._spin * dt;
+    const damp  = Math.exp(-2.5 * dt);
+    this._vx   *= damp;
+    this._vy   *= damp;
+    this._spin *= damp;
+  }
+
+  scroll(amount) {
+    this.y += amount;
+  }
+
+  draw(ctx, t) {
+    ctx.save();
+    if (this.angle) {
+      ctx.translate(this.x, this.y);
+      ctx.rotate(this.angle);
+      ctx.translate(-this.x, -this.y);
+    }
+    switch (this.kind) {
+      case 'cone':      this._drawCone(ctx);         break;
+      case 'barrier':   this._drawBarrier(ctx);      break;
+      case 'oil':       this._drawOil(ctx, t);       break;
+      case 'pothole':   this._drawPothole(ctx);      break;
+      case 'sign':      this._drawSign(ctx, t);      break;
+      case 'roadblock': this._drawRoadblock(ctx, t); break;
+      case 'wreck':     this._drawWreck(ctx, t);     break;
+    }
+    ctx.restore();
+  }
+
+  _drawCone(ctx) {
+    const { x, y } = this;
+    ctx.fillStyle   = '#ff7a00';
+    ctx.shadowColor = '#ff7a00';
+    ctx.shadowBlur  = 8;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 9);
+    ctx.lineTo(x + 7, y + 7);
+    ctx.lineTo(x - 7, y + 7);
+    ctx.closePath();
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    ctx.fillStyle  = '#ffffff';
+    ctx.fillRect(x - 4, y - 1, 8, 3);
+    ctx.fillStyle  = '#552200';
+    ctx.fillRect(x - 8, y + 7, 16, 2);
+  }
+
+  // Striped plastic barrier
+  _drawBarrier(ctx) {
+    const { x, y, width: w, height: h } = this;
+    ctx.fillStyle   = '#1a0d00';
+    ctx.strokeStyle = '#ffaa00';
+    ctx.lineWidth   = 1.5;
+    ctx.shadowColor = '#ffaa00';
+    ctx.shadowBlur  = 10;
+    ctx.fillRect(x - w / 2, y - h / 2, w, h);
+    ctx.strokeRect(x - w / 2, y - h / 2, w, h);
+    ctx.shadowBlur = 0;
+    ctx.beginPath();
+    ctx.rect(x - w / 2, y - h / 2, w, h);
+    ctx.clip();
+    ctx.fillStyle = '#ffaa00';
+    for (let sx = -w / 2 - h; sx < w / 2; sx += 12) {
+      ctx.beginPath();
+      ctx.moveTo(x + sx,         y + h / 2);
+      ctx.lineTo(x + sx + 6,     y + h / 2);
+      ctx.lineTo(x + sx + 6 + h, y - h / 2);
+      ctx.lineTo(x + sx + h,     y - h / 2);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+
+  // Dark puddle with a slow oily sheen
+  _drawOil(ctx, t) {
+    const { x, y, width: w, height: h } = this;
+    ctx.fillStyle = '#05050acc';
+    ctx.beginPath();
+    ctx.ellipse(x, y, w / 2, h / 2, 0, 0, Math.PI * 2);
+    ctx.ellipse(x + w * 0.22, y + h * 0.2, w / 4, h / 4, 0, 0, Math.PI * 2);
+    ctx.fill();
+    const hue = (t * 60 + x) % 360;
+    ctx.strokeStyle = `hsla(${hue}, 90%, 60%, 0.45)`;
+    ctx.lineWidth   = 1.5;
+    ctx.beginPath();
+    ctx.ellipse(x - w * 0.08, y - h * 0.08, w / 3.2, h / 4, 0.3, 0.4, Math.PI * 1.3);
+    ctx.stroke();
+  }
+
+  _drawPothole(ctx) {
+    const { x, y, width: w, height: h } = this;
+    ctx.fillStyle   = '#000000';
+    ctx.strokeStyle = '#3a3a55';
+    ctx.lineWidth   = 2;
+    ctx.beginPath();
+    ctx.ellipse(x, y, w / 2, h / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.strokeStyle = '#22223a';
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    ctx.moveTo(x + w / 2, y);      ctx.lineTo(x + w / 2 + 6, y - 4);
+    ctx.moveTo(x - w / 2, y + 2);  ctx.lineTo(x - w / 2 - 5, y + 6);
+    ctx.stroke();
+  }
+
+  // Roadworks warning: blinking amber diamond on a post
+  _drawSign(ctx, t) {
+    const { x, y } = this;
+    ctx.fillStyle = '#444455';
+    ctx.fillRect(x - 1, y, 2, 15);
+    const lit = Math.floor(t * 3) % 2 === 0;
+    ctx.fillStyle   = lit ? '#ffbb00' : '#aa7700';
+    ctx.shadowColor = '#ffbb00';
+    ctx.shadowBlur  = lit ? 14 : 4;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 15);
+    ctx.lineTo(x + 11, y - 4);
+    ctx.lineTo(x, y + 7);
+    ctx.lineTo(x - 11, y - 4);
+    ctx.closePath();
+    ctx.fill();
+    ctx.shadowBlur   = 0;
+    ctx.fillStyle    = '#111';
+    ctx.font         = 'bold 11px "Courier New"';
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('!', x, y - 4);
+  }
+
+  // Police barricade: white and blue boards, a beacon blinking on top
+  _drawRoadblock(ctx, t) {
+    const { x, y, width: w, height: h } = this;
+    ctx.fillStyle   = '#e8ecff';
+    ctx.shadowColor = '#3377ff';
+    ctx.shadowBlur  = 10;
+    ctx.fillRect(x - w / 2, y - h / 2, w, h);
+    ctx.shadowBlur = 0;
+    ctx.fillStyle  = '#2255ee';
+    for (let sx = -w / 2; sx < w / 2; sx += 10) ctx.fillRect(x + sx, y - h / 2, 5, h);
+    const lit = Math.floor(t * 6 + x / 40) % 2 === 0;
+    ctx.fillStyle   = lit ? '#ff2233' : '#2255ff';
+    ctx.shadowColor = ctx.fillStyle;
+    ctx.shadowBlur  = 14;
+    ctx.beginPath();
+    ctx.arc(x, y - h / 2 - 3, 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Crumpled shell in the car's dimmed colour, flames licking the bonnet
+  _drawWreck(ctx, t) {
+    const { x, y, width: w, height: h } = this;
+    const hw = w / 2, hh = h / 2;
+    ctx.fillStyle   = '#0c0a10';
+    ctx.strokeStyle = this.color + '88';
+    ctx.lineWidth   = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x - hw + 6,  y - hh + 10);
+    ctx.lineTo(x - 2,       y - hh + 2);
+    ctx.lineTo(x + hw - 4,  y - hh + 8);
+    ctx.lineTo(x + hw,      y + hh - 10);
+    ctx.lineTo(x + hw - 6,  y + hh);
+    ctx.lineTo(x - hw + 4,  y + hh - 3);
+    ctx.lineTo(x - hw,      y - hh + 22);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = '#22202a';
+    ctx.fillRect(x - hw + 5, y - hh + 16, w - 12, 10);
+
+    const flick = 0.6 + 0.4 * Math.sin(t * 23 + x);
+    ctx.fillStyle   = `rgba(255, ${Math.floor(90 + 80 * flick)}, 0, ${0.7 * flick})`;
+    ctx.shadowColor = '#ff6600';
+    ctx.shadowBlur  = 14;
+    ctx.beginPath();
+    ctx.arc(x + 2, y - hh + 10, 4 + 3 * flick, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    for (let i = 0; i < 3; i++) {
+      const a = (t * 0.8 + i / 3) % 1;
+      ctx.fillStyle = `rgba(60, 56, 70, ${0.45 * (1 - a)})`;
+      ctx.beginPath();
+      ctx.arc(x + 2 + Math.sin(i * 2.1 + t) * 4, y - hh + 6 + a * 50, 5 + a * 12, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
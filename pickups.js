@@ -0,0 +1,101 @@
+/**
+ * pickups.js — Collectibles lying on the road
+ * Fuel canisters, repair kits and power-ups. Static on the tarmac, so they
+ * scroll past at full road speed; the simulation applies their effects on
+ * collection.
+ */
+
+export const POWERUPS = ['shield', 'ghost', 'slowmo', 'magnet'];
+
+// kind → look; icon is also used for the HUD's active power-up row
+export const PICKUP_TYPES = {
+  fuel:   { color: '#ffee00', icon: 'N₂O' },
+  shield: { color: '#44aaff', icon: '◈'   },
+  ghost:  { color: '#cc88ff', icon: '◌'   },
+  slowmo: { color: '#44ff99', icon: '◷'   },
+  magnet: { color: '#ff5577', icon: '∪'   },
+  repair: { color: '#ff9944', icon: '✚'   },
+};
+
+export class Pickup {
+  constructor(kind, x, y) {
+    this.kind   = kind;
+    this.x      = x;
+    this.y      = y;
+    this.width  = 26;
+    this.height = 30;
+    this._def   = PICKUP_TYPES[kind];
+  }
+
+  scroll(amount) {
+    this.y += amount;
+  }
+
+  draw(ctx, t) {
+    if (this.kind === 'fuel') this._drawCanister(ctx, t);
+    else                      this._drawOrb(ctx, t);
+  }
+
+  _drawCanister(ctx, t) {
+    const { color, icon } = this._def;
+    const x  = this.x;
+    const y  = this.y + Math.sin(t * 4 + this.x) * 2;   // bob
+    const hw = this.width  / 2;
+    const hh = this.height / 2;
+
+    ctx.save();
+
+    // Canister body
+    ctx.fillStyle   = '#0d0d1a';
+    ctx.strokeStyle = color;
+    ctx.lineWidth   = 2;
+    ctx.shadowColor = color;
+    ctx.shadowBlur  = 12 + 4 * Math.sin(t * 6);
+    ctx.beginPath();
+    ctx.roundRect(x - hw, y - hh + 5, this.width, this.height - 5, 5);
+    ctx.fill();
+    ctx.stroke();
+
+    // Valve
+    ctx.fillStyle = color;
+    ctx.fillRect(x - 4, y - hh, 8, 5);
+
+    ctx.shadowBlur   = 0;
+    ctx.font         = 'bold 9px "Courier New"';
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(icon, x, y + 3);
+
+    ctx.restore();
+  }
+
+  // Power-ups: spinning diamond with the effect's icon
+  _drawOrb(ctx, t) {
+    const { color, icon } = this._def;
+    const x = this.x;
+    const y = this.y + Math.sin(t * 4 + this.x) * 2;
+    const r = 15;
+
+    ctx.save();
+    ctx.translate(x, y);
+
+    ctx.save();
+    ctx.rotate(Math.PI / 4 + t * 1.5);
+    ctx.fillStyle   = '#0d0d1a';
+    ctx.strokeStyle = color;
+    ctx.lineWidth   = 2;
+    ctx.shadowColor = color;
+    ctx.shadowBlur  = 14 + 6 * Math.sin(t * 6);
+    ctx.fillRect(-r * 0.75, -r * 0.75, r * 1.5, r * 1.5);
+    ctx.strokeRect(-r * 0.75, -r * 0.75, r * 1.5, r * 1.5);
+    ctx.restore();
+
+    ctx.fillStyle    = color;
+    ctx.font         = 'bold 14px "Courier New"';
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(icon, 0, 1);
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,490 @@
+/**
+ * player.js — Player car: momentum steering, nitro/brake, exhaust trail
+ */
+
+import { CARS } from './cars.js';
+import { Road } from './road.js';
+import { RNG }  from './rng.js';
+import {
+  PLAYER_Y, INVINCIBLE_DURATION,
+  NITRO_FUEL_MAX, NITRO_BURN, NITRO_REFILL, SHIELD_GRACE, BASE_SPEED, MAX_SPEED,
+  DAMAGE_HIT, DAMAGE_GLANCE, BUMP_GRACE, OIL_GRIP,
+} from './constants.js';
+
+// Lateral handling. Velocity chases the steering target at a rate set by
+// grip, which falls off with road speed; when it lags far enough behind the
+// car is sliding.
+export const DEFAULT_HANDLING = {
+  maxLateral: 340,    // px/s at full lock
+  accel:      2400,   // px/s² cap on lateral velocity change
+  grip:       10,     // 1/s — how fast velocity converges on the target
+  gripLoss:   0.45,   // fraction of grip lost at MAX_SPEED
+  nitroGrip:  0.8,    // grip multiplier while boosting
+  slideSlip:  0.35,   // slip (fraction of maxLateral) that counts as sliding
+};
+
+const TILT        = 0.10;   // rad of body roll at full lateral speed
+const DRIFT       = 0.22;   // rad of extra yaw per unit slip
+const WALL_BOUNCE = 0.3;    // fraction of lateral speed kept off a road edge
+const BEND_PULL   = 0.7;    // cap on a bend's outward pull, fraction of maxLateral
+
+// The body art is drawn at this size and scaled to the car's hitbox
+const ART_W = 36;
+const ART_H = 64;
+
+export class PlayerCar {
+  // car: a definition from cars.js; road: the Road it drives on; fxRng: the
+  // cosmetic stream its particles draw from (the simulation's fxRng)
+  constructor(car = CARS[0], road = new Road(), fxRng = new RNG()) {
+    this.car    = car;
+    this.road   = road;
+    this.fxRng  = fxRng;
+    this.y      = PLAYER_Y;
+    const lanes = road.centersAt(this.y);
+    this.x      = lanes[Math.floor((lanes.length - 1) / 2)];
+    this.width  = car.width;
+    this.height = car.height;
+
+    this.handling = { ...DEFAULT_HANDLING, ...car.handling };
+    this.vx       = 0;       // lateral velocity, px/s
+    this.slip     = 0;       // signed gap between wanted and actual lateral velocity, / maxLateral
+    this.sliding  = false;
+
+    this.lives           = car.lives;
+    this.invincibleTimer = 0;
+    this.nitroActive     = false;
+    this.brakeActive     = false;
+    this.fuel            = NITRO_FUEL_MAX;
+    this.nitroDry        = false;   // nitro held with an empty tank
+    this.shield          = false;   // absorbs the next hit
+    this.ghostMode       = false;   // traffic passes through (set by the simulation)
+    this.oilTimer        = 0;       // s of oil left on the tyres
+
+    // Wear per zone, 0 (clean) – 1 (wrecked). Front dims the headlights and
+    // dulls steering response, side costs grip, rear kills the tail lights
+    // and makes nitro burn faster.
+    this.damage = { front: 0, side: 0, rear: 0 };
+
+    // Exhaust, tire-smoke and spark particles
+    this._particles = [];
+    this._smoke     = [];
+    this._sparks    = [];
+  }
+
+  get isInvincible() { return this.invincibleTimer > 0; }
+
+  // Nearest lane index — used by AI for targeting logic
+  get lane() {
+    const lanes = this.road.centersAt(this.y);
+    return lanes.reduce((best, lx, i) =>
+      Math.abs(lx - this.x) < Math.abs(lanes[best] - this.x) ? i : best, 0);
+  }
+
+  refuel(amount) {
+    this.fuel = Math.min(NITRO_FUEL_MAX, this.fuel + amount);
+  }
+
+  // zone: 'front' | 'side' | 'rear'; side: -1 / +1 for which flank took it.
+  // Returns true if a life was lost. A shield takes the hit instead and
+  // leaves a short grace period so the same car can't hit twice.
+  hit(zone = 'front', side = 0) {
+    if (this.isInvincible) return false;
+    if (this.shield) {
+      this.shield          = false;
+      this.invincibleTimer = SHIELD_GRACE;
+      return false;
+    }
+    this.lives--;
+    this.invincibleTimer = INVINCIBLE_DURATION;
+    this._wear(zone, DAMAGE_HIT, side);
+    return true;
+  }
+
+  // Glancing side-swipe: scuffs the flank, no life lost
+  bump(side) {
+    if (this.isInvincible) return;
+    this.invincibleTimer = BUMP_GRACE;
+    this._wear('side', DAMAGE_GLANCE, side);
+  }
+
+  // Pothole or cone: a knock to the wheels — light wear and a sideways
+  // kick, no life lost
+  jolt(zone, amount, kick = 0) {
+    if (!this.isInvincible) this._wear(zone, amount, Math.sign(kick));
+    this.vx += kick;
+  }
+
+  repair(amount) {
+    for (const zone of Object.keys(this.damage)) {
+      this.damage[zone] = Math.max(0, this.damage[zone] - amount);
+    }
+  }
+
+  get damaged() {
+    return this.damage.front > 0 || this.damage.side > 0 || this.damage.rear > 0;
+  }
+
+  _wear(zone, amount, side) {
+    this.damage[zone] = Math.min(1, this.damage[zone] + amount);
+    const hx = this.width / 2, hy = this.height / 2;
+    const [sx, sy] = zone === 'front' ? [0, -hy] : zone === 'rear' ? [0, hy] : [side * hx, 0];
+    const rng = this.fxRng;
+    for (let i = 0; i < 14; i++) {
+      const a = rng.range(0, Math.PI * 2);
+      const v = rng.range(60, 220);
+      this._sparks.push({
+        x: this.x + sx, y: this.y + sy,
+        vx: Math.cos(a) * v, vy: Math.sin(a) * v,
+        life: rng.range(0.2, 0.5),
+      });
+    }
+  }
+
+  // input: { left, right, nitro, brake, steer? } — built by the input layer
+  // (or a script). steer is an optional analog axis in -1..1 (gamepad stick);
+  // digital left/right take precedence when held.
+  // roadSpeed: how fast the road is passing (nitro / brake included), for bends
+  update(dt, gameSpeed, input, roadSpeed = gameSpeed) {
+    if (this.invincibleTimer > 0) this.invincibleTimer -= dt;
+    if (this.oilTimer > 0)        this.oilTimer        -= dt;
+
+    const goLeft  = input.left;
+    const goRight = input.right;
+    const goUp    = input.nitro;
+    const goDown  = input.brake;
+
+    const wantsNitro = !!(goUp && !goDown);
+    this.nitroActive = wantsNitro && this.fuel > 0;
+    this.nitroDry    = wantsNitro && !this.nitroActive;
+    this.brakeActive = !!(goDown && !goUp);
+    // No trickle while the button is held, so a dry tank doesn't sputter on and off
+    const burn = NITRO_BURN * (1 + this.damage.rear * 0.6);
+    if (this.nitroActive)  this.fuel = Math.max(0, this.fuel - burn * dt);
+    else if (!wantsNitro)  this.refuel(NITRO_REFILL * dt);
+
+    const digital = (goRight && !goLeft ? 1 : 0) - (goLeft && !goRight ? 1 : 0);
+    const steer   = digital !== 0 ? digital : (input.steer ?? 0);
+    this._steerLateral(dt, gameSpeed, steer, roadSpeed);
+
+    // Exhaust particles — from bottom edge (rear of car), drifting downward.
+    // Rates are per 60 Hz frame, scaled to the tick length.
+    const rng       = this.fxRng;
+    const spawnRate = this.nitroActive ? 0.9 : (this.brakeActive ? 0.1 : 0.6);
+    if (rng.next() < spawnRate * dt * 60) {
+      this._particles.push({
+        x: this.x + rng.range(-5, 5),
+        y: this.y + this.height / 2 - 4,   // bottom of car = rear
+        vx: rng.range(-10, 10),
+        vy: gameSpeed * 0.06 + rng.range(0, 25),  // drift downward (trail behind)
+        life: 1, maxLife: rng.range(0.4, 0.7),
+        size: this.nitroActive ? rng.range(3, 7) : rng.range(2, 5),
+        nitro: this.nitroActive,
+      });
+    }
+    for (const p of this._particles) {
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.life -= dt;
+    }
+    this._particles = this._particles.filter(p => p.life > 0);
+
+    // Tire smoke from the rear wheels while sliding
+    if (this.sliding && rng.next() < Math.abs(this.slip) * dt * 60) {
+      for (const side of [-1, 1]) {
+        this._smoke.push({
+          x: this.x + side * (this.width / 2 + 1),
+          y: this.y + this.height / 2 - 14,
+          vx: -this.vx * 0.1 + rng.range(-15, 15),
+          vy: gameSpeed * 0.5 + rng.range(0, 40),
+          life: 1, maxLife: rng.range(0.5, 0.9),
+          size: rng.range(4, 8),
+        });
+      }
+    }
+
+    // Heavily damaged: dark smoke off the bonnet
+    const wear = this.damage.front + this.damage.side + this.damage.rear;
+    if (wear > 0.9 && rng.next() < (wear - 0.9) * dt * 20) {
+      this._smoke.push({
+        x: this.x + rng.range(-6, 6),
+        y: this.y - this.height / 2 + 12,
+        vx: rng.range(-10, 10),
+        vy: gameSpeed * 0.4 + rng.range(0, 30),
+        life: 1, maxLife: rng.range(0.6, 1.1),
+        size: rng.range(3, 6),
+        dark: true,
+      });
+    }
+    for (const p of this._smoke) {
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.life -= dt;
+    }
+    this._smoke = this._smoke.filter(p => p.life > 0);
+
+    for (const p of this._sparks) {
+      p.x += p.vx * dt;
+      p.y += p.vy * dt + gameSpeed * 0.3 * dt;
+      p.life -= dt;
+    }
+    this._sparks = this._sparks.filter(p => p.life > 0);
+  }
+
+  _steerLateral(dt, gameSpeed, steer, roadSpeed) {
+    const h      = this.handling;
+    const speedT = Math.max(0, Math.min((gameSpeed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED), 1));
+    let grip = h.grip * (1 - h.gripLoss * speedT) * (1 - 0.4 * this.damage.side);
+    if (this.nitroActive)  grip *= h.nitroGrip;
+    if (this.oilTimer > 0) grip *= OIL_GRIP;
+
+    // A bend pulls the car toward its outside (v²·curvature), so it has to
+    // be steered through; the pull is capped so full lock always wins
+    const bend   = roadSpeed * roadSpeed * this.road.curvatureAt(this.y);
+    const limit  = h.maxLateral * BEND_PULL;
+    const pull   = Math.max(-limit, Math.min(limit, bend));
+    const target = h.maxLateral * steer - pull;
+    const want   = (target - this.vx) * (1 - Math.exp(-grip * dt));
+    const cap    = h.accel * dt * (1 - 0.35 * this.damage.front);
+    this.vx += Math.max(-cap, Math.min(cap, want));
+
+    this.slip    = (target - this.vx) / h.maxLateral;
+    // Sliding = moving sideways fast but not where the wheels point (a flick
+    // the other way, letting go at speed), not just pulling away from rest
+    this.sliding = Math.abs(this.slip) > h.slideSlip && Math.abs(this.vx) > h.maxLateral * 0.3;
+
+    this.x += this.vx * dt;
+    // A narrowing road squeezes the car in like a wall
+    const { left, right } = this.road.boundsAt(this.y);
+    const minX = left + 20, maxX = right - 20;
+    if (this.x < minX || this.x > maxX) {
+      this.x  = Math.max(minX, Math.min(maxX, this.x));
+      this.vx = -this.vx * WALL_BOUNCE;
+    }
+  }
+
+  draw(ctx, t) {
+    // Flash when invincible
+    if (this.isInvincible && Math.floor(t * 8) % 2 === 0) return;
+
+    const cx = Math.round(this.x);
+    const cy = Math.round(this.y);
+    const hw = ART_W / 2;   // 18
+    const hh = ART_H / 2;   // 32
+
+    ctx.save();
+
+    // DTP effect — semi-transparent during invincibility on visible frames
+    if (this.isInvincible) ctx.globalAlpha = 0.55;
+    if (this.ghostMode)    ctx.globalAlpha = 0.35 + 0.1 * Math.sin(t * 10);
+
+    // ── Shield bubble ─────────────────────────────────────────────
+    if (this.shield) {
+      const alpha = ctx.globalAlpha;
+      ctx.strokeStyle = '#44aaff';
+      ctx.lineWidth   = 2;
+      ctx.shadowColor = '#44aaff';
+      ctx.shadowBlur  = 16;
+      ctx.globalAlpha = alpha * (0.5 + 0.2 * Math.sin(t * 5));
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, hw + 12, hh + 10, 0, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = alpha;
+      ctx.shadowBlur  = 0;
+    }
+
+    // ── Exhaust particles ─────────────────────────────────────────
+    for (const p of this._particles) {
+      const alpha = (p.life / p.maxLife) * 0.6;
+      const ratio = 1 - p.life / p.maxLife;
+      ctx.fillStyle = p.nitro
+        ? `rgba(${Math.floor(100+ratio*155)},${Math.floor(180+ratio*75)},255,${alpha})`
+        : `rgba(0,${Math.floor(180+ratio*75)},${Math.floor(200+ratio*55)},${alpha})`;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.size * (p.life / p.maxLife), 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    const trimCol = this.nitroActive ? this.car.nitroTrim : this.car.trim;
+    const glow    = (this.nitroActive ? 18 : 12) + 4 * Math.sin(t * 5);
+
+    // ── Tire smoke ────────────────────────────────────────────────
+    for (const p of this._smoke) {
+      const k = p.life / p.maxLife;
+      ctx.fillStyle = p.dark ? `rgba(40,36,50,${k * 0.5})` : `rgba(200,190,230,${k * 0.3})`;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.size * (2 - k), 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Body roll with lateral speed, plus yaw when the tail steps out
+    const angle = TILT * this.vx / this.handling.maxLateral - DRIFT * this.slip;
+    ctx.translate(cx, cy);
+    ctx.rotate(angle);
+    ctx.scale(this.width / ART_W, this.height / ART_H);
+    ctx.translate(-cx, -cy);
+
+    // ── Underglow ─────────────────────────────────────────────────
+    ctx.shadowColor = trimCol;
+    ctx.shadowBlur  = glow;
+    ctx.strokeStyle = trimCol + '44';
+    ctx.lineWidth   = 10;
+    ctx.beginPath();
+    ctx.ellipse(cx, cy + hh - 4, hw, 6, 0, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+
+    const fr = (lx, ly, lw, lh, col) => {
+      ctx.fillStyle = col; ctx.fillRect(cx + lx, cy + ly, lw, lh);
+    };
+    const fg = (lx, ly, lw, lh, col, blur, gc) => {
+      ctx.shadowColor = gc || col; ctx.shadowBlur = blur;
+      ctx.fillStyle = col; ctx.fillRect(cx + lx, cy + ly, lw, lh);
+      ctx.shadowBlur = 0;
+    };
+
+    // ── WHEELS — aligned to hood/trunk areas ──────────────────────
+    // Front: y=-22 to -8  (beside hood)    Rear: y=+10 to +24 (beside trunk)
+    fr(-hw-4, -hh+10,  6, 14, '#0b0b18');   // FL
+    fr( hw-2, -hh+10,  6, 14, '#0b0b18');   // FR
+    fr(-hw-4,  hh-22,  6, 14, '#0b0b18');   // RL
+    fr( hw-2,  hh-22,  6, 14, '#0b0b18');   // RR
+    fr(-hw-4, -hh+12,  6,  2, '#181828');   // FL tread
+    fr( hw-2, -hh+12,  6,  2, '#181828');   // FR tread
+    fr(-hw-4,  hh-20,  6,  2, '#181828');   // RL tread
+    fr( hw-2,  hh-20,  6,  2, '#181828');   // RR tread
+
+    // ── BODY (front → rear, 64 px total) ──────────────────────────
+    // Layout:  4 nose | 8 headlight bg | 12 hood | 14 windshield |
+    //         12 cabin | 6 rear-window | 8 trunk
+    const B0 = '#06080f';
+    const B1 = '#080c18';
+    const B2 = '#0a1020';
+    const B3 = '#0c1428';
+
+    fr(-12, -hh,      24,  4, B0);           // nose tip (narrow)
+    fr(-16, -hh+4,    32,  8, B1);           // headlight zone bg
+    fr(-16, -hh+12,   32, 12, B1);           // hood outer
+    fr(-12, -hh+12,   24, 12, B2);           // hood inner panel
+    fr(-16, -hh+24,   32, 14, B1);           // windshield outer
+    ctx.fillStyle = 'rgba(28,72,148,0.38)';
+    ctx.fillRect(cx-12, cy-hh+24, 24, 14);   // windshield glass
+    fr(-1,  -hh+24,    2, 14, B0);           // centre pillar
+    fr(-12, -hh+26,    2, 10, '#050810');     // left A-pillar
+    fr( 10, -hh+26,    2, 10, '#050810');     // right A-pillar
+    fr(-16, -hh+38,   32, 12, B3);           // cabin outer
+    fr(-12, -hh+38,   28, 12, B2);           // cabin inner
+    fr(-16, -hh+50,   32,  6, B1);           // rear window outer
+    ctx.fillStyle = 'rgba(18,50,100,0.28)';
+    ctx.fillRect(cx-12, cy-hh+50, 24, 6);    // rear window glass
+    fr(-16, -hh+56,   32,  8, B0);           // trunk
+    fr(-12,  hh-2,    24,  2, B0);           // rear nose tip
+
+    // ── PIXEL DETAILS ─────────────────────────────────────────────
+    fr(-15, -hh+12,  2, 42, '#0e1830');      // left body groove
+    fr( 13, -hh+12,  2, 42, '#0e1830');      // right body groove
+    fr(-1,  -hh+12,  2, 12, '#0a1424');      // hood centre crease
+    fr(-8,  -hh+57, 16,  1, '#0d1828');      // rear vent slat 1
+    fr(-8,  -hh+59, 16,  1, '#0d1828');      // rear vent slat 2
+    fr(-8,  -hh+61, 16,  1, '#0d1828');      // rear vent slat 3
+    fr(-8,   hh- 3,  4,  2, '#1e2f3e');      // left exhaust
+    fr( 4,   hh- 3,  4,  2, '#1e2f3e');      // right exhaust
+
+    // ── NEON TRIM — two split segments per side, gap at cabin ─────
+    // Front segment: alongside hood  (y: -20 → -8)
+    fg(-16, -hh+12,  2, 12, trimCol, glow);  // left
+    fg( 14, -hh+12,  2, 12, trimCol, glow);  // right
+    // Rear segment: alongside rear window+trunk  (y: +14 → +26)
+    fg(-16, -hh+46,  2, 12, trimCol, glow);  // left
+    fg( 14, -hh+46,  2, 12, trimCol, glow);  // right
+
+    this._drawWear(ctx, cx, cy, hw, hh);
+
+    // ── HEADLIGHTS (top, white, wide) ─────────────────────────────
+    // Spans outer edge → center; trim connects at bottom
+    const baseAlpha = ctx.globalAlpha;
+    ctx.globalAlpha = baseAlpha * this._lampLevel(this.damage.front, t);
+    fg(-16, -hh+4,   11,  8, '#ffffff', 24, '#ffffff');  // L block
+    fg(  5, -hh+4,   11,  8, '#ffffff', 24, '#ffffff');  // R block
+    fg(-16, -hh+5,   11,  4, '#e0eeff',  8, '#ffffff');  // L core
+    fg(  5, -hh+5,   11,  4, '#e0eeff',  8, '#ffffff');  // R core
+    fr(-4, -hh+4,     8,  8, '#030508');                 // grille gap
+
+    // ── TAIL LIGHTS (bottom, red, narrower) ───────────────────────
+    // Narrower + wider center gap than headlights → reference look
+    ctx.globalAlpha = baseAlpha * this._lampLevel(this.damage.rear, t + 0.7);
+    fg(-16,  hh-6,    8,  6, '#ff1133', 22, '#ff0022');  // L block
+    fg(  8,  hh-6,    8,  6, '#ff1133', 22, '#ff0022');  // R block
+    fg(-16,  hh-5,    8,  3, '#ff6688',  8, '#ff2244');  // L core
+    fg(  8,  hh-5,    8,  3, '#ff6688',  8, '#ff2244');  // R core
+    fr(-7,   hh-6,   14,  6, '#030508');                 // wide centre gap
+    ctx.globalAlpha = baseAlpha;
+
+    // ── COCKPIT dot ───────────────────────────────────────────────
+    ctx.shadowColor = '#aaddff';
+    ctx.shadowBlur  = 6;
+    ctx.fillStyle   = '#aaddff';
+    ctx.beginPath();
+    ctx.arc(cx, cy - hh + 38, 2, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+
+    // ── Sparks (world space, unrotated) ───────────────────────────
+    ctx.save();
+    ctx.fillStyle   = '#ffdd66';
+    ctx.shadowColor = '#ffaa00';
+    ctx.shadowBlur  = 8;
+    for (const p of this._sparks) {
+      ctx.globalAlpha = Math.min(1, p.life * 4);
+      ctx.fillRect(p.x - 1, p.y - 1, 2, 2);
+    }
+    ctx.restore();
+  }
+
+  // Lamp brightness for a zone's damage: dimmer as it wears, flickering
+  // past half, dead when wrecked
+  _lampLevel(dmg, t) {
+    if (dmg <= 0)  return 1;
+    if (dmg >= 1)  return 0.08;
+    if (dmg >= 0.5 && Math.sin(t * 31) + Math.sin(t * 17) > 1.1) return 0.15;
+    return 1 - 0.6 * dmg;
+  }
+
+  // Cracks and scrapes, fading in with each zone's damage. Fixed shapes so
+  // they don't crawl from frame to frame.
+  _drawWear(ctx, cx, cy, hw, hh) {
+    const { front, side, rear } = this.damage;
+    if (!front && !side && !rear) return;
+    ctx.save();
+    ctx.lineWidth   = 1;
+    ctx.shadowBlur  = 0;
+    const crack = (alpha, pts) => {
+      ctx.strokeStyle = `rgba(220,235,255,${alpha})`;
+      ctx.beginPath();
+      ctx.moveTo(cx + pts[0], cy + pts[1]);
+      for (let i = 2; i < pts.length; i += 2) ctx.lineTo(cx + pts[i], cy + pts[i + 1]);
+      ctx.stroke();
+    };
+    if (front) {
+      // Star crack across the windshield
+      const a = 0.25 + 0.6 * front;
+      crack(a, [-3, -hh+28, -9, -hh+25, -12, -hh+30]);
+      crack(a, [-3, -hh+28,  4, -hh+25,  9, -hh+27]);
+      crack(a, [-3, -hh+28, -1, -hh+34,  3, -hh+37]);
+      if (front >= 0.5) crack(a, [-14, -hh+14, -6, -hh+18, 2, -hh+15, 8, -hh+20]);   // hood crumple
+    }
+    if (side) {
+      // Scrapes along both flanks
+      const a = 0.2 + 0.6 * side;
+      crack(a, [-hw+2, -hh+20, -hw+4, -hh+30, -hw+2, -hh+42]);
+      crack(a, [ hw-2, -hh+22,  hw-4, -hh+34,  hw-2, -hh+40]);
+      if (side >= 0.5) crack(a, [-hw+3, -hh+44, -hw+6, -hh+52]);
+    }
+    if (rear) {
+      const a = 0.25 + 0.6 * rear;
+      crack(a, [-10, -hh+51, -2, -hh+54, 6, -hh+51, 11, -hh+55]);   // rear window
+      if (rear >= 0.5) crack(a, [-12, hh-10, -4, hh-8, 4, hh-11]);
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * police.js — Pursuit cars
+ * Called in from behind when the player's heat maxes out. Each unit takes a
+ * slot around the player — one cuts in ahead, the others draw alongside —
+ * and checks lanes with the rivals' _laneOccupied so the box closes without
+ * the units piling into each other. Once the player evades they drop back
+ * and the simulation removes them off screen.
+ */
+
+import { AICar, STATES } from './ai.js';
+
+export const POLICE_UNIT = { id: 'police', name: 'POLICE', archetype: 'blocker', color: '#3377ff' };
+
+const SLOTS      = ['ahead', 'left', 'right'];
+const AHEAD_GAP  = 110;    // px in front of the player the lead unit holds
+const SQUEEZE    = 70;     // ...closed to this once the box is shut
+const TOP_SPEED  = 1.45;   // × game speed — a hot nitro can still outrun them
+const CLOSE_RATE = 220;    // px of position error per extra 1 × speed
+const LIGHT_HZ   = 8;      // light-bar flashes per second
+
+export class PoliceCar extends AICar {
+  // slot: index into the box positions, in the order units are called in
+  constructor(lane, y, road, rng, slot, tier) {
+    super(lane, y, road, rng, POLICE_UNIT, tier);
+    this.slot    = SLOTS[slot % SLOTS.length];
+    this.leaving = false;   // pursuit over: falls back off screen
+
+    this._holdY     = y;    // screen y it is trying to sit at
+    this._roadSpeed = 1;    // player's road speed / game speed
+  }
+
+  // player: as AICar, plus scroll (the player's road speed) and boxed
+  update(dt, gameSpeed, player, obstacles, peers = []) {
+    this._stateTimer -= dt;
+    if (this.laneChangeCooldown > 0) this.laneChangeCooldown -= dt;
+    this._roadSpeed = player.scroll / gameSpeed;
+
+    if (this.spinning) {
+      this._updateSpin(dt, gameSpeed);
+      return;
+    }
+    if (this._reactionTimer > 0) this._reactionTimer -= dt;
+    else                         this._think(player, obstacles, peers);
+
+    this._applyMovement(dt, gameSpeed);
+  }
+
+  _think(player, obstacles, peers = []) {
+    this._reactionTimer = this.reactionTime;
+
+    if (this._scanObstacle(obstacles) &&
+        (this.state !== STATES.DODGE || this.targetLane === this.lane)) {
+      this.state = STATES.DODGE;
+      this._dodge(obstacles, peers);
+      return;
+    }
+    if (this.leaving) {
+      this.state = STATES.CRUISE;
+      return;
+    }
+
+    // The lead unit passes in a neighbouring lane, then cuts in once clear.
+    // Flankers sit alongside; with a wall on their side they tail instead.
+    const n    = this.laneCenters.length;
+    const side = player.lane + 1 < n ? player.lane + 1 : player.lane - 1;
+    let lane, holdY;
+    if (this.slot === 'ahead') {
+      lane  = this.y < player.y - this.height ? player.lane : side;
+      holdY = player.y - (player.boxed ? SQUEEZE : AHEAD_GAP);
+    } else {
+      lane  = player.lane + (this.slot === 'left' ? -1 : 1);
+      holdY = player.y;
+      if (lane < 0 || lane >= n) {
+        lane  = player.lane;
+        holdY = player.y + AHEAD_GAP;
+      }
+    }
+    this._holdY = holdY;
+    this.state  = lane === player.lane ? STATES.BLOCK : STATES.CRUISE;
+    if (lane !== this.targetLane && !this._laneOccupied(lane, peers)) this._changeLane(lane);
+  }
+
+  // Closes on its slot at up to TOP_SPEED; drops away once called off
+  _paceMult() {
+    if (this.leaving) return 0.6;
+    const err = this.y - this._holdY;   // + = behind its slot
+    return Math.max(0.6, Math.min(TOP_SPEED, this._roadSpeed + err / CLOSE_RATE));
+  }
+
+  draw(ctx, t = 0) {
+    super.draw(ctx);
+
+    // Light bar across the roof, red and blue taking turns
+    const { x, y } = this;
+    const red = Math.floor(t * LIGHT_HZ) % 2 === 0;
+    ctx.save();
+    if (this.angle) {
+      ctx.translate(x, y);
+      ctx.rotate(this.angle);
+      ctx.translate(-x, -y);
+    }
+    ctx.fillStyle = '#111122';
+    ctx.fillRect(x - 13, y - 4, 26, 7);
+    ctx.shadowBlur  = 18;
+    ctx.fillStyle   = red ? '#ff2233' : '#551122';
+    ctx.shadowColor = '#ff2233';
+    ctx.fillRect(x - 12, y - 3, 11, 5);
+    ctx.fillStyle   = red ? '#112255' : '#2255ff';
+    ctx.shadowColor = '#2255ff';
+    ctx.fillRect(x + 1, y - 3, 11, 5);
+
+    // Wash of light on the tarmac around the car
+    const glow = ctx.createRadialGradient(x, y, 10, x, y, 70);
+    glow.addColorStop(0, red ? 'rgba(255,30,50,0.22)' : 'rgba(40,90,255,0.22)');
+    glow.addColorStop(1, 'rgba(0,0,0,0)');
+    ctx.shadowBlur = 0;
+    ctx.fillStyle  = glow;
+    ctx.fillRect(x - 70, y - 70, 140, 140);
+    ctx.restore();
+  }
+}
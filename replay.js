@@ -0,0 +1,135 @@
+/**
+ * replay.js — Input recording and playback
+ * A run is fully determined by its seed plus the action state on every tick,
+ * so a replay stores only the ticks where that state changed.
+ */
+
+import { NO_INPUT }    from './sim.js';
+import { SIM_VERSION } from './constants.js';
+import { DEFAULT_CAR } from './cars.js';
+import { DEFAULT_ROAD } from './road.js';
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+
+// Older formats are rejected outright: each came from an older simulation,
+// so the SIM_VERSION check would turn them away regardless
+export const REPLAY_FORMAT = 5;
+
+// Action state packs into one integer: bits 0–3 are 1=left 2=right 4=nitro
+// 8=brake, bits 4–11 the analog steer axis as a signed byte (-127..127).
+export function encodeInput(input) {
+  const q = Math.max(-127, Math.min(127, Math.round((input.steer ?? 0) * 127)));
+  return (input.left ? 1 : 0) | (input.right ? 2 : 0) | (input.nitro ? 4 : 0) | (input.brake ? 8 : 0) |
+         ((q & 0xff) << 4);
+}
+
+export function decodeInput(bits) {
+  let q = (bits >> 4) & 0xff;
+  if (q > 127) q -= 256;
+  return {
+    left: !!(bits & 1), right: !!(bits & 2), nitro: !!(bits & 4), brake: !!(bits & 8),
+    steer: q / 127,
+  };
+}
+
+// Round-trip live input through the replay encoding so the run that is
+// simulated is bit-for-bit the run that gets recorded
+export function quantizeInput(input) {
+  return decodeInput(encodeInput(input));
+}
+
+// ─── Recorder ─────────────────────────────────────────────────────────────────
+
+export class ReplayRecorder {
+  constructor(seed, car = DEFAULT_CAR, road = DEFAULT_ROAD, difficulty = DEFAULT_DIFFICULTY) {
+    this.seed       = seed;
+    this.car        = car;
+    this.road       = road;
+    this.difficulty = difficulty;
+    this._inputs = [];   // flat [tick, bits, tick, bits, ...], absolute ticks
+    this._last   = encodeInput(NO_INPUT);
+  }
+
+  // Call with the tick about to be simulated and the input it will consume
+  record(tick, input) {
+    const bits = encodeInput(input);
+    if (bits === this._last) return;
+    this._last = bits;
+    this._inputs.push(tick, bits);
+  }
+
+  finish(ticks, score) {
+    return {
+      v:          REPLAY_FORMAT,
+      sim:        SIM_VERSION,
+      seed:       this.seed,
+      car:        this.car,
+      road:       this.road,
+      difficulty: this.difficulty,
+      ticks,
+      score,
+      date:       new Date().toISOString(),
+      inputs:     this._inputs,
+    };
+  }
+}
+
+// ─── Player ───────────────────────────────────────────────────────────────────
+
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this._i     = 0;
+    this._input = NO_INPUT;
+  }
+
+  done(tick) {
+    return tick >= this.replay.ticks;
+  }
+
+  // Ticks must be requested in increasing order, as the simulation does
+  inputAt(tick) {
+    const f = this.replay.inputs;
+    while (this._i < f.length && f[this._i] <= tick) {
+      this._input = decodeInput(f[this._i + 1]);
+      this._i += 2;
+    }
+    return this._input;
+  }
+}
+
+// (tick) => input, for runHeadless()
+export function replayInput(replay) {
+  const player = new ReplayPlayer(replay);
+  return tick => player.inputAt(tick);
+}
+
+// ─── Serialisation ────────────────────────────────────────────────────────────
+// Ticks are delta-encoded on disk to keep saved runs small.
+
+export function serializeReplay(replay) {
+  const deltas = [];
+  let prev = 0;
+  for (let i = 0; i < replay.inputs.length; i += 2) {
+    deltas.push(replay.inputs[i] - prev, replay.inputs[i + 1]);
+    prev = replay.inputs[i];
+  }
+  return JSON.stringify({ ...replay, inputs: deltas });
+}
+
+// Throws on malformed data or a replay from an incompatible simulation
+export function parseReplay(text) {
+  const data = JSON.parse(text);
+  if (data?.v !== REPLAY_FORMAT || !Array.isArray(data.inputs)) {
+    throw new Error('Unrecognised replay format');
+  }
+  if (data.sim !== SIM_VERSION) {
+    throw new Error(`Replay recorded with simulation v${data.sim}, this build is v${SIM_VERSION}`);
+  }
+  const inputs = [];
+  let tick = 0;
+  for (let i = 0; i < data.inputs.length; i += 2) {
+    tick += data.inputs[i];
+    inputs.push(tick, data.inputs[i + 1]);
+  }
+  return { ...data, inputs };
+}
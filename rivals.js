@@ -0,0 +1,80 @@
+/**
+ * rivals.js — Named AI rivals and the archetypes that drive them
+ * Plain definitions; AICar reads its FSM thresholds from the archetype.
+ * Each run draws AI_COUNT rivals from the roster; a rival that falls too
+ * far behind respawns ahead as the same driver.
+ */
+
+// Aggression is compared against the thresholds: blockAt (cut into the
+// player's lane when alongside), boostBlockAt (when the player boosts up
+// from behind) and overtakeAt (clear off into a free lane). pace scales the
+// car's own speed, catchUp its speed while closing back in; holdGap is how
+// far ahead of the player it settles. sideswipe: steers into the player's
+// lane even when alongside, trading paint on purpose.
+export const ARCHETYPES = {
+  blocker: {
+    label: 'BLOCKER',
+    aggression: [0.86, 0.95], reaction: [0.03, 0.08],
+    blockAt: 0.82, boostBlockAt: 0.75, overtakeAt: 0.65,
+    pace: 1.0,  catchUp: 1.15, holdGap: [120, 220], lookAhead: 130, lateral: 650,
+    sideswipe: false,
+  },
+  speedDemon: {
+    label: 'SPEED DEMON',
+    aggression: [0.6, 0.78], reaction: [0, 0.05],
+    blockAt: 1, boostBlockAt: 1, overtakeAt: 0.55,
+    pace: 1.06, catchUp: 1.3, holdGap: [260, 400], lookAhead: 170, lateral: 760,
+    sideswipe: false,
+  },
+  cautious: {
+    label: 'CAUTIOUS',
+    aggression: [0.3, 0.5], reaction: [0.08, 0.14],
+    blockAt: 1, boostBlockAt: 1, overtakeAt: 0.35,
+    pace: 0.97, catchUp: 1.1, holdGap: [180, 320], lookAhead: 200, lateral: 520,
+    sideswipe: false,
+  },
+  dirty: {
+    label: 'DIRTY RACER',
+    aggression: [0.8, 0.95], reaction: [0.02, 0.06],
+    blockAt: 0.7, boostBlockAt: 0.7, overtakeAt: 0.6,
+    pace: 1.02, catchUp: 1.2, holdGap: [100, 200], lookAhead: 120, lateral: 700,
+    sideswipe: true,
+  },
+};
+
+export const RIVALS = [
+  { id: 'viper',  name: 'VIPER',  archetype: 'blocker',    color: '#ff2266' },
+  { id: 'blitz',  name: 'BLITZ',  archetype: 'speedDemon', color: '#ff8800' },
+  { id: 'halo',   name: 'HALO',   archetype: 'cautious',   color: '#00ff88' },
+  { id: 'jackal', name: 'JACKAL', archetype: 'dirty',      color: '#aa00ff' },
+  { id: 'rook',   name: 'ROOK',   archetype: 'blocker',    color: '#ff44ff' },
+  { id: 'zephyr', name: 'ZEPHYR', archetype: 'speedDemon', color: '#44ddff' },
+];
+
+export function rivalById(id) {
+  return RIVALS.find(r => r.id === id) ?? RIVALS[0];
+}
+
+// ─── Rivalry stats ────────────────────────────────────────────────────────────
+// Persisted per rival by the host: { overtaken, rammed, wrecked } where
+// wrecked counts lives the rival cost the player.
+
+export function emptyRivalry() {
+  return { overtaken: 0, rammed: 0, wrecked: 0 };
+}
+
+// Saved data over defaults, ignoring rivals that no longer exist
+export function mergeRivalry(saved) {
+  const out = {};
+  for (const r of RIVALS) out[r.id] = { ...emptyRivalry(), ...(saved?.[r.id] ?? {}) };
+  return out;
+}
+
+// One line of history for the spawn announcement
+export function rivalryLine(stats) {
+  if (!stats.overtaken && !stats.rammed && !stats.wrecked) return 'FIRST MEETING';
+  const parts = [`OVERTAKEN ${stats.overtaken}×`];
+  if (stats.rammed)  parts.push(`RAMMED ${stats.rammed}×`);
+  if (stats.wrecked) parts.push(`WRECKED YOU ${stats.wrecked}×`);
+  return parts.join('  ');
+}
@@ -0,0 +1,58 @@
+/**
+ * rng.js — Seedable PRNG (mulberry32)
+ * One instance drives all gameplay randomness so a run replays from its seed.
+ */
+
+export class RNG {
+  constructor(seed = RNG.randomSeed()) {
+    this.reseed(seed);
+  }
+
+  // Fresh seed for a new run — the only place wall-clock entropy is allowed
+  static randomSeed() {
+    return (Math.random() * 0x100000000) >>> 0;
+  }
+
+  reseed(seed) {
+    this.seed   = seed >>> 0;
+    this._state = this.seed;
+  }
+
+  // Uniform float in [0, 1) — drop-in replacement for Math.random()
+  next() {
+    let t = (this._state = (this._state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Uniform float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Uniform integer in [0, n)
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  pick(arr) {
+    return arr[this.int(arr.length)];
+  }
+
+  // Fisher–Yates on a copy
+  shuffle(arr) {
+    const out = [...arr];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  // Independent child stream — cosmetic consumers get their own so they
+  // never shift the gameplay sequence
+  fork() {
+    return new RNG(Math.floor(this.next() * 0x100000000));
+  }
+}
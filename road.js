@@ -0,0 +1,218 @@
+/**
+ * road.js — Track definitions and road geometry
+ * A track is a looping list of segments in a JSON-friendly format:
+ *
+ *   { "id": "coast", "name": "COAST ROAD", "segments": [
+ *       { "type": "straight", "length": 3000, "lanes": 3 },
+ *       { "type": "bend",     "length": 2400, "curve": 0.6 },
+ *       { "type": "merge",    "length": 3000, "lanes": 2 } ] }
+ *
+ * length is px of road; lanes (2–6) carries over from the previous segment
+ * when omitted; curve (-1..1, + bends right) only applies to bends; a merge
+ * changes the lane count. Changes blend in over TAPER px at the start of a
+ * segment: ending lanes squeeze into the edge lane, new ones fan out of it.
+ *
+ * The simulation runs in road space, where lanes are straight lines and
+ * every car steers by the lanes at its own screen y. Bends only exist as
+ * a lateral offset the renderer applies (offsetAt / headingAt) and as the
+ * outward pull they put on the player.
+ */
+
+import { CANVAS_W, CANVAS_H, PLAYER_Y } from './constants.js';
+
+export const MIN_LANES = 2;
+export const MAX_LANES = 6;
+export const SEGMENT_TYPES = ['straight', 'bend', 'merge'];
+
+const TAPER     = 480;      // px of road over which a change blends in
+const MAX_LANE  = 160;      // px lane width on narrow roads
+const SPREAD    = 340;      // px between the outer lane centres on wide roads
+const SHOULDER  = 50;       // px from the outer lane centre to the road edge
+const MAX_BEND  = 0.0008;   // 1/px curvature at curve ±1
+const BEND_STEP = 24;       // px between samples of the rendered offset
+const AHEAD     = 400;      // px above the screen the offset table reaches
+
+// Throws on anything that isn't a usable track; returns it normalised
+export function parseRoad(data) {
+  const road = typeof data === 'string' ? JSON.parse(data) : data;
+  const fail = msg => { throw new Error(`Bad road "${road?.id ?? '?'}": ${msg}`); };
+  if (typeof road?.id !== 'string' || !Array.isArray(road.segments) || !road.segments.length) {
+    fail('needs an id and at least one segment');
+  }
+  let lanes = null;
+  const segments = road.segments.map((s, i) => {
+    if (!SEGMENT_TYPES.includes(s.type))     fail(`segment ${i} has unknown type ${s.type}`);
+    if (!(s.length > 0) || !isFinite(s.length)) fail(`segment ${i} needs a positive length`);
+    const n = s.lanes ?? lanes;
+    if (!Number.isInteger(n) || n < MIN_LANES || n > MAX_LANES) fail(`segment ${i} lanes must be ${MIN_LANES}–${MAX_LANES}`);
+    if (s.type === 'merge' && i > 0 && n === lanes) fail(`merge ${i} doesn't change the lane count`);
+    const curve = s.type === 'bend' ? s.curve : 0;
+    if (typeof curve !== 'number' || Math.abs(curve) > 1) fail(`bend ${i} curve must be -1..1`);
+    lanes = n;
+    return { type: s.type, length: s.length, lanes: n, curve };
+  });
+  return { id: road.id, name: road.name ?? road.id.toUpperCase(), segments };
+}
+
+export const ROAD_LAYOUTS = [
+  {
+    id: 'classic', name: 'CLASSIC',
+    segments: [{ type: 'straight', length: 5000, lanes: 3 }],
+  },
+  {
+    id: 'highway', name: 'HIGHWAY',
+    segments: [
+      { type: 'straight', length: 3000, lanes: 3 },
+      { type: 'bend',     length: 3000, curve: 0.4 },
+      { type: 'merge',    length: 3000, lanes: 4 },
+      { type: 'merge',    length: 4000, lanes: 6 },
+      { type: 'bend',     length: 3000, curve: -0.5 },
+      { type: 'merge',    length: 3000, lanes: 5 },
+      { type: 'merge',    length: 2500, lanes: 3 },
+      { type: 'bend',     length: 2500, curve: 0.6 },
+      { type: 'merge',    length: 3000, lanes: 4 },
+    ],
+  },
+  {
+    id: 'backroads', name: 'BACKROADS',
+    segments: [
+      { type: 'straight', length: 2500, lanes: 3 },
+      { type: 'bend',     length: 2000, curve: 0.8 },
+      { type: 'merge',    length: 2500, lanes: 2 },
+      { type: 'bend',     length: 2500, curve: -0.9 },
+      { type: 'straight', length: 1500 },
+      { type: 'bend',     length: 2000, curve: 0.7, lanes: 3 },
+      { type: 'bend',     length: 1800, curve: -0.6 },
+      { type: 'merge',    length: 2500, lanes: 2 },
+      { type: 'merge',    length: 3000, lanes: 4 },
+    ],
+  },
+].map(parseRoad);
+
+export const DEFAULT_ROAD = ROAD_LAYOUTS[0].id;
+
+export function roadById(id) {
+  return ROAD_LAYOUTS.find(r => r.id === id) ?? ROAD_LAYOUTS[0];
+}
+
+// Lane centres of a settled n-lane road, centred on the canvas
+function laneSet(n) {
+  const w = Math.min(MAX_LANE, SPREAD / (n - 1));
+  return Array.from({ length: n }, (_, i) => CANVAS_W / 2 + (i - (n - 1) / 2) * w);
+}
+const LANE_SETS = [];
+for (let n = MIN_LANES; n <= MAX_LANES; n++) LANE_SETS[n] = laneSet(n);
+
+const ease = t => t * t * (3 - 2 * t);
+
+export class Road {
+  constructor(layout = ROAD_LAYOUTS[0]) {
+    this.layout   = layout;
+    this.distance = 0;   // px of road scrolled past the bottom of the screen
+
+    this._segments = layout.segments;
+    this._loop     = this._segments.reduce((sum, s) => sum + s.length, 0);
+    this._bendAt   = NaN;   // distance the offset table was built for
+    this._bendX    = [];
+    this._bendH    = [];
+  }
+
+  scroll(amount) {
+    this.distance += amount;
+  }
+
+  // Lane centres at screen y, left to right. Mid-taper the array has the
+  // larger of the two counts; merging lanes share the edge lane's x.
+  centersAt(y) {
+    const { prev, seg, t } = this._segmentAt(y);
+    const from = prev.lanes, to = seg.lanes;
+    if (t >= 1 || from === to) return LANE_SETS[to];
+    const a = LANE_SETS[from], b = LANE_SETS[to];
+    const e = ease(t);
+    return Array.from({ length: Math.max(from, to) }, (_, i) => {
+      const xa = a[Math.min(i, from - 1)];
+      const xb = b[Math.min(i, to   - 1)];
+      return xa + (xb - xa) * e;
+    });
+  }
+
+  // Drivable x range at screen y
+  boundsAt(y) {
+    const c = this.centersAt(y);
+    return { left: c[0] - SHOULDER, right: c[c.length - 1] + SHOULDER };
+  }
+
+  // Lane count once any taper at y has finished
+  lanesAt(y) {
+    return this._segmentAt(y).seg.lanes;
+  }
+
+  // Signed curvature (1/px) at screen y; + bends right
+  curvatureAt(y) {
+    const { prev, seg, t } = this._segmentAt(y);
+    const e = t >= 1 ? 1 : ease(t);
+    return (prev.curve + (seg.curve - prev.curve) * e) * MAX_BEND;
+  }
+
+  // ─── Rendered bend ────────────────────────────────────────────────────────
+  // The camera stays square to the road under the player: the offset and
+  // heading are zero at PLAYER_Y and grow with distance from it.
+
+  // px the road at screen y is drawn to the side of its road-space x
+  offsetAt(y) {
+    return this._bendSample(this._bendX, y);
+  }
+
+  // Angle (rad, clockwise) of the road at screen y
+  headingAt(y) {
+    return Math.atan(this._bendSample(this._bendH, y));
+  }
+
+  _bendSample(table, y) {
+    if (this._bendAt !== this.distance) this._buildBend();
+    const f = (PLAYER_Y - y) / BEND_STEP;          // + ahead, - behind
+    const k = Math.max(-this._behind, Math.min(this._ahead, f));
+    const i = Math.floor(k);
+    const j = Math.min(i + 1, this._ahead);
+    const a = table[i + this._behind], b = table[j + this._behind];
+    return a + (b - a) * (k - i);
+  }
+
+  // Integrates curvature out from the player in both directions
+  _buildBend() {
+    this._behind = Math.ceil((CANVAS_H + 100 - PLAYER_Y) / BEND_STEP);
+    this._ahead  = Math.ceil((PLAYER_Y + AHEAD) / BEND_STEP);
+    const x = this._bendX, h = this._bendH;
+    x.length = h.length = this._behind + this._ahead + 1;
+    x[this._behind] = h[this._behind] = 0;
+    for (const dir of [1, -1]) {
+      let px = 0, ph = 0;
+      const steps = dir > 0 ? this._ahead : this._behind;
+      for (let s = 1; s <= steps; s++) {
+        const y = PLAYER_Y - dir * (s - 0.5) * BEND_STEP;
+        ph += this.curvatureAt(y) * dir * BEND_STEP;
+        px += ph * dir * BEND_STEP;
+        x[this._behind + dir * s] = px;
+        h[this._behind + dir * s] = ph;
+      }
+    }
+    this._bendAt = this.distance;
+  }
+
+  // Segment under screen y, the one before it and how far through its
+  // entry taper y is (1 once past it)
+  _segmentAt(y) {
+    const d    = this.distance + CANVAS_H - y;
+    const segs = this._segments;
+    let p = Math.max(0, d) % this._loop;
+    for (let i = 0; i < segs.length; i++) {
+      if (p < segs[i].length || i === segs.length - 1) {
+        const prev = segs[(i + segs.length - 1) % segs.length];
+        // A run starts settled in the first segment rather than tapering in
+        const t = d < segs[0].length ? 1 : p / TAPER;
+        return { prev, seg: segs[i], t };
+      }
+      p -= segs[i].length;
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * settings.js — Player settings: key bindings, volumes, display toggles, road
+ * layout, difficulty
+ * Plain data + helpers; persistence lives with the rest of storage in Game.
+ */
+
+import { DEFAULT_ROAD } from './road.js';
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+
+// Rebindable actions, in settings-screen order
+export const BINDABLE = [
+  { action: 'left',    label: 'STEER LEFT'  },
+  { action: 'right',   label: 'STEER RIGHT' },
+  { action: 'nitro',   label: 'NITRO'       },
+  { action: 'brake',   label: 'BRAKE'       },
+  { action: 'pause',   label: 'PAUSE'       },
+  { action: 'confirm', label: 'CONFIRM'     },
+];
+
+const MAX_KEYS_PER_ACTION = 2;
+
+export function defaultSettings() {
+  return {
+    bindings: {
+      left:    ['ArrowLeft',  'KeyA'],
+      right:   ['ArrowRight', 'KeyD'],
+      nitro:   ['ArrowUp',    'KeyW'],
+      brake:   ['ArrowDown',  'KeyS'],
+      pause:   ['Escape',     'KeyP'],
+      confirm: ['Space',      'Enter'],
+    },
+    volume:        { master: 1, music: 1, sfx: 1 },   // 0–1
+    scanlines:     true,
+    screenEffects: true,    // CRT glow border, shake
+    touchMode:     'halves',
+    touchOverlay:  true,
+    road:          DEFAULT_ROAD,   // layout id from road.js
+    difficulty:    DEFAULT_DIFFICULTY,   // tier id from difficulty.js, picked on the menu
+  };
+}
+
+// Saved data over defaults, so settings added later get sane values
+export function mergeSettings(saved) {
+  const d = defaultSettings();
+  if (!saved || typeof saved !== 'object') return d;
+  return {
+    ...d,
+    ...saved,
+    bindings: { ...d.bindings, ...saved.bindings },
+    volume:   { ...d.volume,   ...saved.volume   },
+  };
+}
+
+// Every bound action a key code triggers
+export function actionsFor(settings, code) {
+  return Object.keys(settings.bindings).filter(a => settings.bindings[a].includes(code));
+}
+
+export function isHeld(settings, keys, action) {
+  return settings.bindings[action].some(code => keys[code]);
+}
+
+// New key becomes the primary binding, the old primary stays as secondary;
+// the key is taken away from any other action that had it. An action never
+// loses its last key: it is handed the key this one lets go of (or its
+// secondary) in exchange. Returns false, binding nothing, when there is no
+// key to hand over.
+export function bindKey(settings, action, code) {
+  const keys    = [code, ...settings.bindings[action].filter(c => c !== code)];
+  const dropped = keys.splice(MAX_KEYS_PER_ACTION);
+  const others  = Object.keys(settings.bindings).filter(a => a !== action);
+  const updated = {};
+  for (const a of others) {
+    const left = settings.bindings[a].filter(c => c !== code);
+    if (left.length === 0 && settings.bindings[a].length > 0) {
+      const swap = dropped.shift() ?? (keys.length > 1 ? keys.pop() : null);
+      if (swap === null) return false;
+      left.push(swap);
+    }
+    updated[a] = left;
+  }
+  Object.assign(settings.bindings, updated, { [action]: keys });
+  return true;
+}
+
+// KeyboardEvent.code → short label for the settings screen
+export function keyLabel(code) {
+  const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+  if (arrows[code])            return arrows[code];
+  if (code.startsWith('Key'))   return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  return code.replace(/^(Numpad)/, 'NUM ').toUpperCase();
+}
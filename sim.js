@@ -0,0 +1,775 @@
+/**
+ * sim.js — Simulation core
+ * Everything that decides the outcome of a run: player, AI, traffic, score,
+ * collisions. No canvas, DOM, audio or storage — steps identically in a
+ * browser or under Node (see headless.js).
+ */
+
+import { AICar }      from './ai.js';
+import { PoliceCar }  from './police.js';
+import { Boss }       from './boss.js';
+import { RIVALS }     from './rivals.js';
+import { PlayerCar }  from './player.js';
+import { TrafficCar } from './traffic.js';
+import { Pickup, POWERUPS } from './pickups.js';
+import { Obstacle, OBSTACLE_TYPES } from './obstacles.js';
+import { RNG }        from './rng.js';
+import { carById, DEFAULT_CAR } from './cars.js';
+import { Road, roadById, DEFAULT_ROAD } from './road.js';
+import { difficultyById, DEFAULT_DIFFICULTY } from './difficulty.js';
+import {
+  CANVAS_H,
+  BASE_SPEED, MAX_SPEED,
+  POINTS_PER_SECOND, POINTS_PER_OVERTAKE,
+  NEAR_MISS_GAP, NEAR_MISS_POINTS, COMBO_STEP, COMBO_MAX_MULT, COMBO_WINDOW, COMBO_DECAY,
+  AI_COUNT, SIM_DT,
+  FUEL_CANISTER, PICKUP_MAX, PICKUP_INTERVAL,
+  POWERUP_DURATION, SLOWMO_FACTOR, MAGNET_RANGE, GLANCE_SPEED, REPAIR_KIT,
+  SHOVE_GLANCE, SHOVE_HIT, SHOVE_RAM, PLAYER_KNOCK, SPIN_HIT, SPIN_RAM, SPIN_TIME,
+  OBSTACLE_INTERVAL, OBSTACLE_MAX, ROADWORKS_LEN, OIL_TIME, POTHOLE_WEAR, POTHOLE_KICK, CONE_WEAR,
+  HEAT_SPEED, HEAT_BUILD, HEAT_COOL, EVADE_TIME, EVADE_TAILED, POLICE_SIGHT, ROADBLOCK_INTERVAL, EVADE_POINTS,
+  BOSS_SCORE, BOSS_SCORE_GAP, BOSS_PASS_GAP, BOSS_PASS_DAMAGE, BOSS_BOOST_RANGE, BOSS_BOOST_DRAIN, BOSS_BONUS,
+  CRASH_BLOCK_GAP, CRASH_BONUS,
+} from './constants.js';
+
+export const NO_INPUT = Object.freeze({ left: false, right: false, nitro: false, brake: false, steer: 0 });
+
+export class Simulation {
+  constructor(seed = RNG.randomSeed(), carId = DEFAULT_CAR, roadId = DEFAULT_ROAD, difficultyId = DEFAULT_DIFFICULTY) {
+    this.reset(seed, carId, roadId, difficultyId);
+  }
+
+  // carId picks the player's car from cars.js, roadId the layout from
+  // road.js, difficultyId the tier from difficulty.js — all part of what a
+  // replay stores
+  reset(seed, carId = DEFAULT_CAR, roadId = DEFAULT_ROAD, difficultyId = DEFAULT_DIFFICULTY) {
+    this.seed   = seed >>> 0;
+    this.carId  = carById(carId).id;
+    this.roadId = roadById(roadId).id;
+    this.tier   = difficultyById(difficultyId);
+    this.difficultyId = this.tier.id;
+    this.road   = new Road(roadById(this.roadId));
+    this.rng   = new RNG(this.seed);
+    // Cosmetic stream (stars, exhaust etc.) — presentation draws from this so
+    // the gameplay sequence is the same with or without a renderer attached
+    this.fxRng = this.rng.fork();
+
+    this.player      = new PlayerCar(carById(this.carId), this.road, this.fxRng);
+    this.aiCars      = this._spawnAI();
+    this.trafficCars = [];
+    this.pickups     = [];
+    this.obstacles   = [];
+    this.police      = [];
+    this.boss        = null;
+
+    this.gameSpeed     = BASE_SPEED;
+    this.scrollSpeed   = BASE_SPEED;  // effective road speed incl. brake / nitro
+    this.score         = 0;
+    this._scoreAccum   = 0;
+    this.pendingPoints = 0;           // earned since the host last drained it
+    this.combo         = 0;           // near-miss chain length
+    this.comboTimer    = 0;           // s until the next link decays
+    this.bestCombo     = 0;
+
+    this._trafficTimer = this._nextTrafficDelay();
+    this._pickupTimer  = this.rng.range(...PICKUP_INTERVAL);
+    this._obstacleTimer = this.rng.range(...OBSTACLE_INTERVAL);
+    this._wasDry       = false;
+    this.heat          = 0;           // 0..1; the police come at 1
+    this.pursuit       = false;
+    this.evade         = 0;           // s of evasion built up this pursuit
+    this.boxed         = false;       // police ahead and on both sides
+    this._roadblockTimer = 0;
+    this.bossLevel     = 0;           // encounters so far this run
+    this._nextBoss     = BOSS_SCORE;
+    this.powerups      = { ghost: 0, slowmo: 0, magnet: 0 };   // s remaining
+    this._slowMix      = 0;           // 0..1 ease in / out of slow-mo
+    this.totalTime     = 0;
+    this.tick          = 0;
+    this.roadScrollY   = 0;
+    this.distance      = 0;           // px of road covered this run
+    this.over          = false;
+
+    // Things the host may want to react to (audio, SDK, logs); drained by the host
+    this.events = [];
+    for (const ai of this.aiCars) this._emit('rival', { rival: ai.rival.id });
+  }
+
+  // Advance exactly one fixed tick
+  step(input = NO_INPUT) {
+    if (this.over) return;
+    const dt = SIM_DT;
+    this.tick++;
+    this.totalTime += dt;
+
+    this._updatePowerups(dt);
+    const slow = 1 - (1 - SLOWMO_FACTOR) * this._slowMix;
+    this.gameSpeed = Math.min(BASE_SPEED + this.totalTime * this.tier.speedRamp, MAX_SPEED) * slow;
+
+    this._updateCombo(dt);
+
+    // Score — nitro gives x1.5 on top of the combo multiplier
+    const scoreMult = (this.player.nitroActive ? 1.5 : 1.0) * this.comboMult;
+    this._scoreAccum += POINTS_PER_SECOND * dt * scoreMult;
+    if (this._scoreAccum >= 1) {
+      const pts = Math.floor(this._scoreAccum);
+      this._scoreAccum -= pts;
+      this._addScore(pts);
+    }
+
+    // Brake slows scroll; nitro boosts it by the car's multiplier
+    let scrollSpeed = this.gameSpeed;
+    if      (this.player.brakeActive) scrollSpeed *= 0.45;
+    else if (this.player.nitroActive) scrollSpeed *= this.player.car.nitroMult;
+    this.scrollSpeed = scrollSpeed;
+    const scroll     = scrollSpeed * dt;
+    this.roadScrollY = (this.roadScrollY + scroll) % 80;
+    this.distance   += scroll;
+    this.road.scroll(scroll);
+
+    this.player.update(dt, this.gameSpeed, input, this.scrollSpeed);
+    if (this.player.nitroDry && !this._wasDry) this._emit('nitroempty');
+    this._wasDry = this.player.nitroDry;
+    this._updatePursuit(dt);
+
+    // Traffic cars
+    this._trafficTimer -= dt;
+    if (this._trafficTimer <= 0) {
+      this._trafficTimer = this._nextTrafficDelay();
+      this._spawnTraffic();
+    }
+    // Static obstacles
+    this._obstacleTimer -= dt;
+    if (this._obstacleTimer <= 0) {
+      this._obstacleTimer = this.rng.range(...OBSTACLE_INTERVAL);
+      this._spawnObstacles();
+    }
+    for (const o of this.obstacles) {
+      o.update(dt);
+      o.scroll(scroll);
+      if (o.hazard) this._keepOnRoad(o);
+    }
+    this.obstacles = this.obstacles.filter(o => o.y < CANVAS_H + 80);
+    const hazards = this.obstacles.filter(o => o.hazard);
+
+    for (const tc of this.trafficCars) {
+      tc.update(dt, this.trafficCars, hazards);
+      tc.scroll(scroll);
+    }
+    this.trafficCars = this.trafficCars.filter(tc => tc.y < CANVAS_H + 100);
+
+    // Pickups
+    this._pickupTimer -= dt;
+    if (this._pickupTimer <= 0) {
+      this._pickupTimer = this.rng.range(...PICKUP_INTERVAL);
+      this._spawnPickup();
+    }
+    for (const p of this.pickups) {
+      p.scroll(scroll);
+      this._keepOnRoad(p);
+    }
+    if (this.powerups.magnet > 0) this._magnetize(dt);
+    this.pickups = this.pickups.filter(p => p.y < CANVAS_H + 60);
+
+    // AI cars — slower traffic and static hazards are both things to dodge
+    const pInfo = {
+      x: this.player.x, y: this.player.y, lane: this.player.lane,
+      boosting: this.player.nitroActive, scroll: this.scrollSpeed, boxed: this.boxed,
+    };
+    const aiObstacles = [...this.trafficCars, ...hazards];
+    if (this.boss) aiObstacles.push(this.boss);
+    const drivers     = [...this.aiCars, ...this.police];
+    for (const ai of this.aiCars) {
+      ai.update(dt, this.gameSpeed, pInfo, aiObstacles, drivers);
+      ai.scroll(scroll);
+    }
+    for (const cop of this.police) {
+      cop.update(dt, this.gameSpeed, pInfo, aiObstacles, drivers);
+      cop.scroll(scroll);
+    }
+    this.police = this.police.filter(c => !c.leaving || c.y < CANVAS_H + 120);
+    this._updateBoss(dt, scroll, pInfo);
+    this._checkCrashes();
+
+    this._checkOvertakes();
+    this._checkCollisions();
+    this._checkNearMisses();
+    this._checkPickups();
+    this._checkObstacles();
+  }
+
+  get comboMult() {
+    return Math.min(1 + this.combo * COMBO_STEP, COMBO_MAX_MULT);
+  }
+
+  takeEvents() {
+    const events = this.events;
+    this.events  = [];
+    return events;
+  }
+
+  _emit(type, data = {}) {
+    this.events.push({ type, tick: this.tick, ...data });
+  }
+
+  _addScore(pts) {
+    this.score         += pts;
+    this.pendingPoints += pts;
+  }
+
+  // ─── Spawning ─────────────────────────────────────────────────────────────
+
+  // A different rival from the roster in each car
+  _spawnAI() {
+    const roster = this.rng.shuffle(RIVALS);
+    return Array.from({ length: AI_COUNT }, (_, i) => {
+      const y    = -120 - i * 210;
+      const lane = this.rng.int(this.road.lanesAt(y));
+      return new AICar(lane, y, this.road, this.rng, roster[i % roster.length], this.tier);
+    });
+  }
+
+  // Traffic spawn interval shrinks as speed increases, and with the tier
+  _nextTrafficDelay() {
+    const t   = Math.min((this.gameSpeed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED), 1);
+    const min = 2.2 - t * 1.2;  // 2.2s → 1.0s
+    const max = 4.0 - t * 2.0;  // 4.0s → 2.0s
+    return this.rng.range(min, max) / this.tier.traffic;
+  }
+
+  // A random lane index at ySpawn with no traffic close by, or null
+  _safeLane(ySpawn) {
+    const MIN_Y_GAP = 90;
+    const centers = this.road.centersAt(ySpawn);
+    const lanes   = this.rng.shuffle(Array.from({ length: this.road.lanesAt(ySpawn) }, (_, l) => l));
+    for (const l of lanes) {
+      const blocked = this.trafficCars.some(
+        tc => Math.abs(tc.x - centers[l]) < 40 && Math.abs(tc.y - ySpawn) < MIN_Y_GAP
+      );
+      if (!blocked) return l;
+    }
+    return null;
+  }
+
+  // Pickups and obstacles lie still on the tarmac; a narrowing road slides
+  // them inward rather than leaving them on the verge
+  _keepOnRoad(p) {
+    const { left, right } = this.road.boundsAt(p.y);
+    p.x = Math.max(left + 24, Math.min(right - 24, p.x));
+  }
+
+  _spawnTraffic() {
+    const max = this.tier.trafficMax;
+    if (this.trafficCars.length >= max) return;
+    const speedT = Math.min((this.gameSpeed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED), 1);
+    const count  = (speedT > 0.75 && this.trafficCars.length < max - 1) ? 2 : 1;
+    for (let i = 0; i < count; i++) {
+      if (this.trafficCars.length >= max) break;
+      const ySpawn = -80 - i * 100;
+      const lane = this._safeLane(ySpawn);
+      if (lane === null) break;
+      this.trafficCars.push(new TrafficCar(lane, ySpawn, this.rng, this.road));
+    }
+  }
+
+  // Half fuel canisters (some swapped for repair kits while the car is
+  // damaged), half an even pick of the power-ups
+  _spawnPickup() {
+    if (this.pickups.length >= PICKUP_MAX) return;
+    const ySpawn = -60;
+    const lane = this._safeLane(ySpawn);
+    if (lane === null) return;
+    const lx   = this.road.centersAt(ySpawn)[lane];
+    const r    = this.rng.next();
+    const kind = r < 0.2 && this.player.damaged ? 'repair'
+               : r < 0.5                        ? 'fuel'
+               : this.rng.pick(POWERUPS);
+    this.pickups.push(new Pickup(kind, lx, ySpawn));
+  }
+
+  // One hazard, a short run of cones, or on roads of three lanes and up
+  // (sometimes) roadworks closing an outer lane
+  _spawnObstacles() {
+    if (this.obstacles.length >= OBSTACLE_MAX) return;
+    const ySpawn = -60;
+    const r      = this.rng.next();
+    if (r < 0.2 && this.road.lanesAt(ySpawn) >= 3) { this._spawnRoadworks(ySpawn); return; }
+
+    const lane = this._safeLane(ySpawn);
+    if (lane === null) return;
+    const lx = this.road.centersAt(ySpawn)[lane];
+    if (r < 0.45) {
+      const n = 1 + this.rng.int(3);
+      for (let i = 0; i < n; i++) {
+        this.obstacles.push(new Obstacle('cone', lx + this.rng.range(-22, 22), ySpawn - i * 46));
+      }
+    } else {
+      const kind = r < 0.65 ? 'oil' : r < 0.85 ? 'pothole' : 'barrier';
+      this.obstacles.push(new Obstacle(kind, lx + this.rng.range(-12, 12), ySpawn));
+    }
+  }
+
+  // Warning sign on the verge first, then a diagonal of cones across the
+  // closed lane and a line of barriers up the road behind it
+  _spawnRoadworks(ySpawn) {
+    const centers = this.road.centersAt(ySpawn);
+    const n       = this.road.lanesAt(ySpawn);
+    const left    = this.rng.next() < 0.5;
+    const lx      = left ? centers[0] : centers[n - 1];
+    const out     = left ? -1 : 1;
+    const { left: el, right: er } = this.road.boundsAt(ySpawn);
+    this.obstacles.push(new Obstacle('sign', left ? el - 4 : er + 4, ySpawn));
+
+    let y = ySpawn - 320;
+    for (let k = 0; k < 4; k++, y -= 36) {
+      this.obstacles.push(new Obstacle('cone', lx + out * (30 - 20 * k), y));
+    }
+    const end = y - this.rng.range(...ROADWORKS_LEN);
+    for (; y > end; y -= 60) this.obstacles.push(new Obstacle('barrier', lx, y));
+    this.obstacles.push(new Obstacle('cone', lx, y));
+  }
+
+  // ─── Scoring & collisions ─────────────────────────────────────────────────
+
+  // An AI car that was ahead of the player and is now behind has been overtaken
+  _checkOvertakes() {
+    for (const ai of this.aiCars) {
+      if (!ai._playerBehind && ai.y < this.player.y - 40) {
+        ai._playerBehind = true;
+      }
+      if (ai._playerBehind && ai.y > this.player.y + 40) {
+        ai._playerBehind = false;
+        const pts = Math.round(POINTS_PER_OVERTAKE * this.comboMult);
+        this._addScore(pts);
+        this._emit('overtake', { points: pts, rival: ai.rival.id });
+      }
+    }
+  }
+
+  _checkCollisions() {
+    if (this.player.isInvincible) return;
+    for (const tc of this.trafficCars) {
+      if (this.player.ghostMode) break;
+      if (this._contact(tc, tc.width * 0.88, tc.height * 0.85)) return;
+    }
+    for (const ai of [...this.aiCars, ...this.police]) {
+      if (this._contact(ai, ai.width * 0.82, ai.height * 0.80)) return;
+    }
+    const b = this.boss;
+    if (b && !b.defeated) this._contact(b, b.width * 0.92, b.height * 0.9);
+  }
+
+  // Resolves player contact with one car (cw / ch: its hitbox); returns true
+  // if they touched. The shallower overlap axis says where the blow landed;
+  // both cars are then pushed apart so they stop overlapping.
+  _contact(car, cw, ch) {
+    const p  = this.player;
+    const pw = p.width  * 0.88;
+    const ph = p.height * 0.82;
+    if (!this._overlap(p.x, p.y, pw, ph, car.x, car.y, cw, ch)) return false;
+
+    const dx     = car.x - p.x;
+    const dy     = car.y - p.y;
+    const depthX = (pw + cw) / 2 - Math.abs(dx);
+    const depthY = (ph + ch) / 2 - Math.abs(dy);
+    const side   = dx < 0 ? -1 : 1;
+
+    // A driven car's own sideways speed toward the player (traffic has none)
+    const swerve = -(car.vx ?? 0) * side;
+
+    if (depthX < depthY) {
+      if (swerve > GLANCE_SPEED && swerve > p.vx * side) {
+        // Swerved into by a rival, unit or boss: the player takes the blow
+        this._onHit('side', side, car);
+        this._shove(car, side * SHOVE_GLANCE, 0);
+      } else if (p.vx * side < GLANCE_SPEED) {
+        p.bump(side);
+        this._shove(car, side * SHOVE_GLANCE, 0);
+        this._emit('bump', { side });
+      } else if (car instanceof AICar) {
+        // Deliberate ram: the rival spins out, the player just scuffs a flank
+        p.bump(side);
+        this._shove(car, side * SHOVE_RAM, side * SPIN_RAM);
+        this._emit('ram', { side, rival: car.rival.id });
+      } else {
+        this._onHit('side', side);
+        this._shove(car, side * SHOVE_HIT, side * SPIN_HIT);
+      }
+    } else {
+      const zone = dy < 0 ? 'front' : 'rear';
+      this._onHit(zone, side, car);
+      car.y = p.y + Math.sign(dy || 1) * ((ph + ch) / 2 + 2);
+      this._shove(car, side * SHOVE_HIT * 0.5, side * SPIN_HIT * 0.5);
+    }
+    p.vx = -side * PLAYER_KNOCK;
+    return true;
+  }
+
+  // Rivals and units against traffic and each other. A touch side to side
+  // pushes the pair apart; nose to tail wrecks both, leaving wrecks on the
+  // road — unless both are drivers still in control, when the one behind
+  // just lifts off. Only checked on screen, so neither a rival rejoining up
+  // the road nor a unit called in from behind crashes unseen.
+  _checkCrashes() {
+    const drivers = [...this.aiCars, ...this.police];
+    const cars    = [...drivers, ...this.trafficCars];
+    const wrecked = new Set();
+    for (let i = 0; i < drivers.length; i++) {
+      const a = drivers[i];
+      if (!this._onScreen(a) || wrecked.has(a)) continue;
+      const [aw, ah] = this._hitbox(a);
+      for (let j = i + 1; j < cars.length; j++) {
+        const b = cars[j];
+        if (!this._onScreen(b) || wrecked.has(b)) continue;
+        const [bw, bh] = this._hitbox(b);
+        if (!this._overlap(a.x, a.y, aw, ah, b.x, b.y, bw, bh)) continue;
+
+        const dx     = b.x - a.x;
+        const depthX = (aw + bw) / 2 - Math.abs(dx);
+        const depthY = (ah + bh) / 2 - Math.abs(b.y - a.y);
+        const side   = dx < 0 ? -1 : 1;
+        if (depthX < depthY) {
+          a.x -= side * depthX / 2;
+          b.x += side * depthX / 2;
+          this._shove(a, -side * SHOVE_GLANCE, 0);
+          this._shove(b,  side * SHOVE_GLANCE, 0);
+          continue;
+        }
+        if (b instanceof AICar && !a.spinning && !b.spinning) {
+          const back = a.y > b.y ? a : b;
+          back.y += depthY;
+          continue;
+        }
+        wrecked.add(a).add(b);
+        this._crash(a, b);
+        break;
+      }
+    }
+    if (!wrecked.size) return;
+    this.trafficCars = this.trafficCars.filter(c => !wrecked.has(c));
+    this.police      = this.police.filter(c => !wrecked.has(c));
+  }
+
+  // a: a rival or unit; b: what it hit. Both become wrecks; a rival
+  // rejoins from up the road, a unit is out of the pursuit.
+  _crash(a, b) {
+    const blocked = [a, b].some(c => c instanceof AICar && this._blockedByPlayer(c));
+    const points  = blocked ? Math.round(CRASH_BONUS * this.comboMult) : 0;
+    this._emit('crash', {
+      x: (a.x + b.x) / 2, y: (a.y + b.y) / 2,
+      colors: [a.color, b.color],
+      rival:  [a, b].find(c => this.aiCars.includes(c))?.rival.id,
+      points,
+    });
+    if (points) this._addScore(points);
+    for (const car of [a, b]) {
+      this.obstacles.push(Obstacle.wreckOf(car, car.angle + this.rng.range(-0.6, 0.6)));
+      if (this.aiCars.includes(car)) car.rejoin(this.player);
+    }
+  }
+
+  // The player alongside, close enough on the flank to have shut the door
+  _blockedByPlayer(car) {
+    const p   = this.player;
+    const gap = Math.abs(car.x - p.x) - (p.width + car.width) / 2;
+    return Math.abs(car.y - p.y) < (p.height + car.height) / 2 && gap < CRASH_BLOCK_GAP;
+  }
+
+  _onScreen(car) {
+    return car.y >= 0 && car.y <= CANVAS_H;
+  }
+
+  // Collision box for a driven or traffic car, as the player checks them
+  _hitbox(car) {
+    return car instanceof TrafficCar
+      ? [car.width * 0.88, car.height * 0.85]
+      : [car.width * 0.82, car.height * 0.80];
+  }
+
+  _shove(car, vx, spin) {
+    if (car instanceof AICar) car.shove(vx, spin);
+    else                      car.shove(vx, spin, SPIN_TIME);
+  }
+
+  // A car counts as passed once it stops being alongside the player. If the
+  // side gap dropped under NEAR_MISS_GAP while alongside, and the hitboxes
+  // never touched, that's a near miss.
+  _checkNearMisses() {
+    const p  = this.player;
+    const pw = p.width  * 0.88;
+    const ph = p.height * 0.82;
+    const nmGap = this.powerups.magnet > 0 ? NEAR_MISS_GAP * 2 : NEAR_MISS_GAP;
+    const check = (car, cw, ch) => {
+      const alongside = Math.abs(car.y - p.y) < (ph + ch) / 2;
+      if (alongside) {
+        const gap = Math.abs(car.x - p.x) - (pw + cw) / 2;
+        if (gap < 0)            car._nmTouched = true;
+        else if (gap < nmGap)   car._nmClose   = true;
+        return;
+      }
+      if (car._nmClose && !car._nmTouched) this._onNearMiss();
+      car._nmClose = car._nmTouched = false;
+    };
+    for (const tc of this.trafficCars) check(tc, tc.width * 0.88, tc.height * 0.85);
+    for (const ai of this.aiCars)      check(ai, ai.width * 0.82, ai.height * 0.80);
+    for (const cop of this.police)     check(cop, cop.width * 0.82, cop.height * 0.80);
+  }
+
+  _onNearMiss() {
+    this.combo++;
+    this.comboTimer = COMBO_WINDOW;
+    this.bestCombo  = Math.max(this.bestCombo, this.combo);
+    const pts = Math.round(NEAR_MISS_POINTS * this.comboMult);
+    this._addScore(pts);
+    this._emit('nearmiss', { points: pts, combo: this.combo });
+  }
+
+  // Links fall off one at a time once the window since the last near miss runs out
+  _updateCombo(dt) {
+    if (this.combo === 0) return;
+    this.comboTimer -= dt;
+    if (this.comboTimer <= 0) {
+      this.combo--;
+      this.comboTimer = this.combo > 0 ? COMBO_DECAY : 0;
+    }
+  }
+
+  _checkPickups() {
+    const p = this.player;
+    this.pickups = this.pickups.filter(pk => {
+      if (!this._overlap(p.x, p.y, p.width, p.height, pk.x, pk.y, pk.width, pk.height)) return true;
+      this._collect(pk);
+      return false;
+    });
+  }
+
+  // Each obstacle acts once. Shields and invincibility keep barriers and
+  // potholes from costing anything, but oil still gets on the tyres.
+  _checkObstacles() {
+    const p  = this.player;
+    const pw = p.width  * 0.88;
+    const ph = p.height * 0.82;
+    for (const o of this.obstacles) {
+      if (!o.contact || !this._overlap(p.x, p.y, pw, ph, o.x, o.y, o.width, o.height)) continue;
+      o.hit = true;
+      const side = o.x < p.x ? -1 : 1;
+      switch (o.kind) {
+        case 'cone':
+          o.knock(side * this.rng.range(60, 160), -this.scrollSpeed * 0.8, side * this.rng.range(6, 12));
+          p.jolt('front', CONE_WEAR);
+          this._emit('cone');
+          break;
+        case 'barrier':
+        case 'roadblock':
+        case 'wreck':
+          if (p.isInvincible) break;
+          this._onHit('front', side);
+          p.vx = -side * PLAYER_KNOCK;
+          break;
+        case 'oil':
+          p.oilTimer = OIL_TIME;
+          this._emit('oil');
+          break;
+        case 'pothole':
+          p.jolt('front', POTHOLE_WEAR, this.rng.range(-1, 1) * POTHOLE_KICK);
+          this._emit('pothole');
+          break;
+      }
+    }
+  }
+
+  _collect(pk) {
+    if      (pk.kind === 'fuel')   this.player.refuel(FUEL_CANISTER);
+    else if (pk.kind === 'repair') this.player.repair(REPAIR_KIT);
+    else if (pk.kind === 'shield') this.player.shield = true;
+    else                           this.powerups[pk.kind] = POWERUP_DURATION[pk.kind];
+    this._emit('pickup', { kind: pk.kind });
+  }
+
+  // ─── Police ───────────────────────────────────────────────────────────────
+
+  // Heat builds on sustained nitro at speed, though not while a boss is on
+  // the road; at full heat the police are called in. Evasion builds while
+  // out of their sight (slowly with a unit on the player's tail) and drains
+  // while they have the player boxed in.
+  _updatePursuit(dt) {
+    const p = this.player;
+    if (!this.pursuit) {
+      const hot = !this.boss && p.nitroActive && this.scrollSpeed >= HEAT_SPEED;
+      this.heat = Math.max(0, Math.min(1, this.heat + (hot ? dt / HEAT_BUILD : -dt / HEAT_COOL)));
+      if (this.heat >= 1) this._startPursuit();
+      return;
+    }
+
+    this.boxed = this._isBoxed();
+    const seen = this.police.some(c => !c.spinning && Math.abs(c.y - p.y) < POLICE_SIGHT);
+    const rate = this.boxed ? -1 : seen ? EVADE_TAILED : 1;
+    this.evade = Math.max(0, this.evade + rate * dt);
+    this.heat  = 1 - this.evade / EVADE_TIME;
+    if (this.evade >= EVADE_TIME) {
+      this._endPursuit();
+      return;
+    }
+
+    this._roadblockTimer -= dt;
+    if (this._roadblockTimer <= 0) {
+      this._roadblockTimer = this.rng.range(...ROADBLOCK_INTERVAL);
+      this._spawnRoadblock();
+    }
+  }
+
+  // Units come up from behind, below the screen
+  _startPursuit() {
+    this.pursuit = true;
+    this.evade   = 0;
+    this._roadblockTimer = this.rng.range(...ROADBLOCK_INTERVAL);
+    this.police  = Array.from({ length: this.tier.police }, (_, i) => {
+      const y = CANVAS_H + 80 + i * 90;
+      return new PoliceCar(this.rng.int(this.road.lanesAt(y)), y, this.road, this.rng, i, this.tier);
+    });
+    this._emit('pursuit', { units: this.police.length });
+  }
+
+  _endPursuit() {
+    this.pursuit = false;
+    this.boxed   = false;
+    this.heat    = 0;
+    for (const cop of this.police) cop.leaving = true;
+    this._addScore(EVADE_POINTS);
+    this._emit('evaded', { points: EVADE_POINTS });
+  }
+
+  // A unit just ahead in the player's lane, and each side either walled
+  // off by the road edge or held by a unit alongside
+  _isBoxed() {
+    const p     = this.player;
+    const lanes = this.road.centersAt(p.y);
+    const near  = this.police.filter(c => !c.spinning);
+    const at    = l => near.some(c => Math.abs(c.x - lanes[l]) < 30 && Math.abs(c.y - p.y) < 80);
+    const ahead = near.some(c => Math.abs(c.x - p.x) < 30 && c.y < p.y && p.y - c.y < 160);
+    const side  = l => l < 0 || l >= lanes.length || at(l);
+    return ahead && side(p.lane - 1) && side(p.lane + 1);
+  }
+
+  // Barricades right across the road bar one lane left open
+  _spawnRoadblock() {
+    const ySpawn  = -80;
+    const centers = this.road.centersAt(ySpawn);
+    const gap     = this.rng.int(this.road.lanesAt(ySpawn));
+    const laneW   = centers.length > 1 ? centers[1] - centers[0] : 120;
+    const { left, right } = this.road.boundsAt(ySpawn);
+    const w = OBSTACLE_TYPES.roadblock.w;
+    for (let x = left + w / 2; x <= right - w / 2 + 1; x += w) {
+      if (Math.abs(x - centers[gap]) < laneW / 2 + w / 2) continue;
+      this.obstacles.push(new Obstacle('roadblock', x, ySpawn));
+    }
+    this._emit('roadblock', { lane: gap });
+  }
+
+  // ─── Boss ─────────────────────────────────────────────────────────────────
+
+  // Called in at score thresholds, never on top of a pursuit. It stays until
+  // its armour is gone; then it falls back off screen and the next threshold
+  // is set from the score at that point.
+  _updateBoss(dt, scroll, pInfo) {
+    const b = this.boss;
+    if (!b) {
+      if (!this.pursuit && this.score >= this._nextBoss) this._spawnBoss();
+      return;
+    }
+    b.update(dt, this.gameSpeed, pInfo);
+    b.scroll(scroll);
+    for (const d of b.takeDrops()) this.obstacles.push(new Obstacle(d.kind, d.x, d.y));
+
+    // Traffic in its way is ploughed aside
+    for (const tc of this.trafficCars) {
+      if (tc._vx !== 0 || !this._overlap(b.x, b.y, b.width, b.height, tc.x, tc.y, tc.width, tc.height)) continue;
+      const side = tc.x < b.x ? -1 : 1;
+      tc.shove(side * SHOVE_HIT, side * SPIN_HIT, SPIN_TIME);
+    }
+
+    if (b.defeated) {
+      if (b.y > CANVAS_H + 160) {
+        this.boss      = null;
+        this._nextBoss = this.score + BOSS_SCORE_GAP;
+      }
+      return;
+    }
+    const p = this.player;
+    if (p.nitroActive && Math.abs(b.y - p.y) < BOSS_BOOST_RANGE) this._damageBoss(BOSS_BOOST_DRAIN * dt, false);
+    this._checkBossPass();
+  }
+
+  _spawnBoss() {
+    this.bossLevel++;
+    this.boss = new Boss(this.road, this.rng, -200, this.bossLevel);
+    this._emit('boss', { name: this.boss.name, level: this.bossLevel });
+  }
+
+  // A clean pass — never touching, within BOSS_PASS_GAP of its flank
+  _checkBossPass() {
+    const p   = this.player;
+    const gap = this.boss.trackPass(p.x, p.y, p.width * 0.88, p.height * 0.82);
+    if (gap !== null && gap >= 0 && gap < BOSS_PASS_GAP) this._damageBoss(BOSS_PASS_DAMAGE, true);
+  }
+
+  // pass: a close pass (announced) rather than the steady nitro drain
+  _damageBoss(amount, pass) {
+    const b    = this.boss;
+    const down = b.damage(amount);
+    if (pass) this._emit('bosshit', { health: b.health / b.maxHealth });
+    if (!down) return;
+    const pts = BOSS_BONUS * b.level;
+    this._addScore(pts);
+    this._emit('bossdown', { name: b.name, points: pts });
+  }
+
+  // ─── Power-ups ────────────────────────────────────────────────────────────
+
+  _updatePowerups(dt) {
+    for (const kind of Object.keys(this.powerups)) {
+      if (this.powerups[kind] <= 0) continue;
+      this.powerups[kind] = Math.max(0, this.powerups[kind] - dt);
+      if (this.powerups[kind] === 0) this._emit('powerupend', { kind });
+    }
+    this.player.ghostMode = this.powerups.ghost > 0;
+
+    const target = this.powerups.slowmo > 0 ? 1 : 0;
+    const step   = 3 * dt;   // ~⅓ s to ease fully in or out
+    this._slowMix += Math.max(-step, Math.min(step, target - this._slowMix));
+  }
+
+  // Score magnet: pickups in range home in on the car, and near misses
+  // count from twice as far out (see _checkNearMisses)
+  _magnetize(dt) {
+    const p = this.player;
+    for (const pk of this.pickups) {
+      const dx = p.x - pk.x, dy = p.y - pk.y;
+      const d  = Math.hypot(dx, dy);
+      if (d > MAGNET_RANGE || d < 1) continue;
+      const pull = Math.min(d, 420 * dt);
+      pk.x += dx / d * pull;
+      pk.y += dy / d * pull;
+    }
+  }
+
+  _overlap(ax, ay, aw, ah, bx, by, bw, bh) {
+    return Math.abs(ax - bx) < (aw + bw) / 2 && Math.abs(ay - by) < (ah + bh) / 2;
+  }
+
+  // by: the car that dealt the blow, if any — rivals are named in the event
+  _onHit(zone, side, by = null) {
+    const shielded = this.player.shield;
+    const lifeLost = this.player.hit(zone, side);
+    if (shielded && !this.player.shield) this._emit('shieldbreak');
+    if (!lifeLost) return;
+    if (this.combo > 0) this._emit('combolost', { combo: this.combo });
+    this.combo      = 0;
+    this.comboTimer = 0;
+    this._emit('hit', { lives: this.player.lives, zone, rival: by?.rival?.id });
+    if (this.player.lives <= 0) {
+      this.over = true;
+      this._emit('gameover', { score: Math.floor(this.score) });
+    }
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * traffic.js — Civilian traffic cars
+ * Three body types that drift toward the player and occasionally change lane
+ */
+
+// Civilian cars travelling in the same direction as the player but slower.
+// scroll() moves them at 45% of road speed so they drift toward the player
+// from the top of the screen.
+
+const TRAFFIC_TYPES = {
+  SEDAN: { w: 32, h: 50, colors: ['#7799bb', '#99aacc', '#5588aa'], scrollFactor: 0.50 },
+  SUV:   { w: 36, h: 54, colors: ['#aa7744', '#cc9955', '#886633'], scrollFactor: 0.38 },
+  TRUCK: { w: 38, h: 66, colors: ['#778888', '#aabbbb', '#556677'], scrollFactor: 0.28 },
+};
+
+export class TrafficCar {
+  // lane: index into the road's lanes at y
+  constructor(lane, y, rng, road) {
+    const typeName = rng.pick(Object.keys(TRAFFIC_TYPES));
+    const def = TRAFFIC_TYPES[typeName];
+    this.rng  = rng;
+    this.road = road;
+    this.y    = y;
+    this.lane = lane;
+    this.x    = road.centersAt(y)[lane];
+    this.width  = def.w;
+    this.height = def.h;
+    this._laneChangeTimer = this.rng.range(1.0, 3.5);
+    this._color        = this.rng.pick(def.colors);
+    this._type         = typeName;
+    this._scrollFactor = def.scrollFactor;
+    this._vx    = 0;   // shove velocity, px/s
+    this._spin  = 0;   // rad/s
+    this._spinT = 0;   // s left out of control
+    this.angle  = 0;
+  }
+
+  // Lateral impulse from a collision: slides (and maybe spins) into the
+  // neighbouring lane in the push direction and settles there
+  shove(vx, spin = 0, spinTime = 0) {
+    this._vx += vx;
+    if (spin !== 0) {
+      this._spin  = spin;
+      this._spinT = spinTime;
+    }
+    const lanes = this.road.centersAt(this.y);
+    const i     = lanes.reduce((b, lx, k) =>
+      Math.abs(lx - this.x) < Math.abs(lanes[b] - this.x) ? k : b, 0);
+    this.lane             = Math.max(0, Math.min(lanes.length - 1, i + Math.sign(vx)));
+    this._laneChangeTimer = Math.max(this._laneChangeTimer, 2.0);
+  }
+
+  get color() { return this._color; }
+
+  // Centre of the lane it is heading for; an ended lane folds into the edge one
+  get targetX() {
+    const lanes = this.road.centersAt(this.y);
+    return lanes[Math.min(this.lane, lanes.length - 1)];
+  }
+
+  // hazards: static obstacles; one coming up in its lane forces a lane change
+  update(dt, peers = [], hazards = []) {
+    if (this._vx !== 0 || this._spinT > 0) {
+      this._updateSlide(dt);
+      return;
+    }
+    this._laneChangeTimer -= dt;
+    if (this._hazardAhead(hazards)) this._laneChangeTimer = 0;
+    if (this._laneChangeTimer <= 0) {
+      // Only move to a lane not occupied or targeted by another traffic car
+      // nearby, and never into one that is about to end
+      const lanes = this.road.centersAt(this.y);
+      const open  = this.road.lanesAt(this.y);
+      const free  = lanes.map((_, l) => l).filter(l =>
+        l < open &&
+        !hazards.some(o => Math.abs(o.x - lanes[l]) < 40 && o.y < this.y && this.y - o.y < 240) &&
+        !peers.some(p =>
+          p !== this &&
+          Math.abs(p.y - this.y) < 90 &&
+          (Math.abs(p.x - lanes[l]) < 40 || Math.abs(p.targetX - lanes[l]) < 40)
+        )
+      );
+      if (free.length > 0) {
+        this.lane = this.rng.pick(free);
+      }
+      this._laneChangeTimer = this.rng.range(3.0, 7.0);  // much less frequent
+    }
+    if (this.lane >= this.road.lanesAt(this.y)) this.lane = this.road.lanesAt(this.y) - 1;
+    const dx = this.targetX - this.x;
+    this.x += Math.sign(dx) * Math.min(Math.abs(dx), 160 * dt);
+  }
+
+  // The road is static, so a hazard closes in from above
+  _hazardAhead(hazards) {
+    const tx = this.targetX;
+    return hazards.some(o =>
+      Math.abs(o.x - tx) < 40 && o.y < this.y && this.y - o.y < 160
+    );
+  }
+
+  _updateSlide(dt) {
+    this.x   += this._vx * dt;
+    this._vx *= Math.exp(-4 * dt);
+    if (Math.abs(this._vx) < 5) this._vx = 0;
+    const lanes = this.road.centersAt(this.y);
+    this.x = Math.max(lanes[0], Math.min(lanes[lanes.length - 1], this.x));
+    if (this._spinT > 0) {
+      this._spinT -= dt;
+      this.angle  += this._spin * dt;
+      if (this._spinT <= 0) { this.angle = 0; this._spin = 0; }
+    }
+  }
+
+  // Drifts toward the player at type-specific fraction of road-scroll speed
+  scroll(amount) {
+    this.y += amount * this._scrollFactor;
+  }
+
+  draw(ctx) {
+    const x   = this.x;
+    const y   = this.y;
+    const hw  = this.width  / 2;
+    const hh  = this.height / 2;
+    const col = this._color;
+
+    ctx.save();
+    if (this.angle) {
+      ctx.translate(x, y);
+      ctx.rotate(this.angle);
+      ctx.translate(-x, -y);
+    }
+
+    if (this._type === 'SEDAN') {
+      // ── Wheels ──
+      ctx.fillStyle   = '#111118';
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth   = 1;
+      ctx.shadowBlur  = 0;
+      for (const [wx, wy, ww, wh] of [
+        [x - hw - 4, y - hh + 5,  7, 11],
+        [x + hw - 3, y - hh + 5,  7, 11],
+        [x - hw - 4, y + hh - 16, 7, 11],
+        [x + hw - 3, y + hh - 16, 7, 11],
+      ]) {
+        ctx.beginPath(); ctx.roundRect(wx, wy, ww, wh, 2); ctx.fill(); ctx.stroke();
+      }
+      // ── Body ──
+      ctx.fillStyle   = '#0e1622';
+      ctx.strokeStyle = col;
+      ctx.lineWidth   = 1.5;
+      ctx.shadowColor = col;
+      ctx.shadowBlur  = 7;
+      ctx.beginPath(); ctx.roundRect(x - hw, y - hh, this.width, this.height, 6); ctx.fill(); ctx.stroke();
+      // ── Hood ──
+      ctx.shadowBlur = 0;
+      ctx.fillStyle  = '#16273a';
+      ctx.fillRect(x - hw + 3, y - hh + 2, this.width - 6, 12);
+      // ── Windshield ──
+      ctx.fillStyle = col + '55';
+      ctx.fillRect(x - hw + 3, y - hh + 14, this.width - 6, 10);
+      // ── Roof ──
+      ctx.fillStyle = '#1a2e3e';
+      ctx.fillRect(x - hw + 5, y - hh + 24, this.width - 10, 11);
+      // ── Headlights ──
+      ctx.fillStyle   = '#cce0ff';
+      ctx.shadowColor = '#aaaaff';
+      ctx.shadowBlur  = 9;
+      ctx.fillRect(x - hw + 2,  y - hh + 2, 7, 3);
+      ctx.fillRect(x + hw - 9,  y - hh + 2, 7, 3);
+      // ── Tail lights ──
+      ctx.fillStyle   = '#ff2200';
+      ctx.shadowColor = '#ff2200';
+      ctx.shadowBlur  = 7;
+      ctx.fillRect(x - hw + 2,  y + hh - 5, 7, 3);
+      ctx.fillRect(x + hw - 9,  y + hh - 5, 7, 3);
+
+    } else if (this._type === 'SUV') {
+      // ── Wheels (wider) ──
+      ctx.fillStyle   = '#111118';
+      ctx.strokeStyle = '#444';
+      ctx.lineWidth   = 1;
+      ctx.shadowBlur  = 0;
+      for (const [wx, wy, ww, wh] of [
+        [x - hw - 5, y - hh + 5,  8, 12],
+        [x + hw - 3, y - hh + 5,  8, 12],
+        [x - hw - 5, y + hh - 17, 8, 12],
+        [x + hw - 3, y + hh - 17, 8, 12],
+      ]) {
+        ctx.beginPath(); ctx.roundRect(wx, wy, ww, wh, 2); ctx.fill(); ctx.stroke();
+      }
+      // ── Body ──
+      ctx.fillStyle   = '#1a1008';
+      ctx.strokeStyle = col;
+      ctx.lineWidth   = 1.5;
+      ctx.shadowColor = col;
+      ctx.shadowBlur  = 7;
+      ctx.beginPath(); ctx.roundRect(x - hw, y - hh, this.width, this.height, 4); ctx.fill(); ctx.stroke();
+      // ── Hood ──
+      ctx.shadowBlur = 0;
+      ctx.fillStyle  = '#2a1a0a';
+      ctx.fillRect(x - hw + 3, y - hh + 2, this.width - 6, 14);
+      // ── Windshield (more vertical) ──
+      ctx.fillStyle = col + '44';
+      ctx.fillRect(x - hw + 3, y - hh + 16, this.width - 6, 11);
+      // ── Roof ──
+      ctx.fillStyle = '#221508';
+      ctx.fillRect(x - hw + 4, y - hh + 27, this.width - 8, 13);
+      // ── Roof rack ──
+      ctx.strokeStyle = '#554433';
+      ctx.lineWidth   = 1;
+      ctx.beginPath();
+      ctx.moveTo(x - hw + 6, y - hh + 33); ctx.lineTo(x + hw - 6, y - hh + 33);
+      ctx.stroke();
+      // ── Headlights ──
+      ctx.fillStyle   = '#ffffcc';
+      ctx.shadowColor = '#ffff88';
+      ctx.shadowBlur  = 9;
+      ctx.fillRect(x - hw + 2,  y - hh + 2, 8, 4);
+      ctx.fillRect(x + hw - 10, y - hh + 2, 8, 4);
+      // ── Tail lights ──
+      ctx.fillStyle   = '#ff3300';
+      ctx.shadowColor = '#ff3300';
+      ctx.shadowBlur  = 7;
+      ctx.fillRect(x - hw + 2,  y + hh - 6, 8, 4);
+      ctx.fillRect(x + hw - 10, y + hh - 6, 8, 4);
+
+    } else {
+      // TRUCK ─────────────────────────────────────────────────────────────────
+      const cabH  = Math.round(this.height * 0.40);
+      const bodyH = this.height - cabH;
+      // ── Wheels (large) ──
+      ctx.fillStyle   = '#111118';
+      ctx.strokeStyle = '#444';
+      ctx.lineWidth   = 1;
+      ctx.shadowBlur  = 0;
+      for (const [wx, wy, ww, wh] of [
+        [x - hw - 5, y - hh + 4,   8, 14],
+        [x + hw - 3, y - hh + 4,   8, 14],
+        [x - hw - 5, y + hh - 18,  8, 14],
+        [x + hw - 3, y + hh - 18,  8, 14],
+      ]) {
+        ctx.beginPath(); ctx.roundRect(wx, wy, ww, wh, 2); ctx.fill(); ctx.stroke();
+      }
+      // ── Cargo body (lower) ──
+      ctx.fillStyle   = '#0e1418';
+      ctx.strokeStyle = col + 'aa';
+      ctx.lineWidth   = 1;
+      ctx.shadowBlur  = 0;
+      ctx.fillRect(x - hw, y - hh + cabH, this.width, bodyH);
+      ctx.strokeRect(x - hw, y - hh + cabH, this.width, bodyH);
+      // ── Cab (upper) ──
+      ctx.fillStyle   = '#151e22';
+      ctx.strokeStyle = col;
+      ctx.lineWidth   = 1.5;
+      ctx.shadowColor = col;
+      ctx.shadowBlur  = 7;
+      ctx.beginPath(); ctx.roundRect(x - hw, y - hh, this.width, cabH, 4); ctx.fill(); ctx.stroke();
+      // ── Cab/body divider ──
+      ctx.shadowBlur  = 0;
+      ctx.strokeStyle = col + '88';
+      ctx.lineWidth   = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x - hw, y - hh + cabH); ctx.lineTo(x + hw, y - hh + cabH);
+      ctx.stroke();
+      // ── Windshield ──
+      ctx.fillStyle = col + '44';
+      ctx.fillRect(x - hw + 3, y - hh + 5, this.width - 6, Math.round(cabH * 0.5));
+      // ── Cargo lines ──
+      ctx.strokeStyle = col + '33';
+      ctx.lineWidth   = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, y - hh + cabH + 4); ctx.lineTo(x, y + hh - 4);
+      ctx.stroke();
+      // ── Headlights ──
+      ctx.fillStyle   = '#eeeeff';
+      ctx.shadowColor = '#aaaaff';
+      ctx.shadowBlur  = 8;
+      ctx.fillRect(x - hw + 2,  y - hh + 2, 8, 4);
+      ctx.fillRect(x + hw - 10, y - hh + 2, 8, 4);
+      // ── Tail lights ──
+      ctx.fillStyle   = '#ff2200';
+      ctx.shadowColor = '#ff2200';
+      ctx.shadowBlur  = 8;
+      ctx.fillRect(x - hw + 2,  y + hh - 6, 8, 4);
+      ctx.fillRect(x + hw - 10, y + hh - 6, 8, 4);
+    }
+
+    ctx.restore();
+  }
+}